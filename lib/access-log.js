@@ -0,0 +1,107 @@
+const querystring = require('querystring');
+
+const MONTHS = [ 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec' ];
+const REDACTED = '[REDACTED]';
+
+const pad = n => String(n).padStart(2, '0');
+
+// Apache style timestamp (eg.: 10/Oct/2000:13:55:36 +0000).
+function formatDate(d){
+    return pad(d.getUTCDate()) + '/' + MONTHS[d.getUTCMonth()] + '/' + d.getUTCFullYear() + ':' +
+        pad(d.getUTCHours()) + ':' + pad(d.getUTCMinutes()) + ':' + pad(d.getUTCSeconds()) + ' +0000';
+}
+
+function getAddress({ req, ip }){
+    return ip || (req.socket ? req.socket.remoteAddress : undefined);
+}
+
+function getPath({ req, query }, redact){
+    let path = req.path || '/';
+    let q = {};
+    for(let key in query)
+        q[key] = redact.has(key.toLowerCase()) ? REDACTED : query[key];
+    let qs = querystring.stringify(q);
+    return qs ? path + '?' + qs : path;
+}
+
+function getHeader(headers, name, redact){
+    let value = headers[name];
+    return value !== undefined && redact.has(name) ? REDACTED : value;
+}
+
+// Count the bytes of body actually written (after compression) to the response.
+function countBytes(res){
+    let origWrite = res.write;
+    let origEnd = res.end;
+    let bytes = 0;
+
+    let count = (chunk, encoding) => {
+        if(chunk && typeof chunk != 'function')
+            bytes += Buffer.byteLength(chunk, typeof encoding == 'string' ? encoding : undefined);
+    };
+
+    res.write = function(chunk, encoding, cb){
+        count(chunk, encoding);
+        return origWrite.call(this, chunk, encoding, cb);
+    };
+
+    res.end = function(chunk, encoding, cb){
+        count(chunk, encoding);
+        return origEnd.call(this, chunk, encoding, cb);
+    };
+
+    return () => bytes;
+}
+
+function formatCombined(e){
+    return (e.ip || '-') + ' - - [' + formatDate(e.time) + '] "' + e.method + ' ' + e.path +
+        ' HTTP/' + e.httpVersion + '" ' + e.status + ' ' + (e.bytesOut || '-') + ' "' +
+        (e.referrer || '-') + '" "' + (e.userAgent || '-') + '"';
+}
+
+module.exports = function logAccess(input){
+    // this => app
+    let conf = typeof this.conf.accessLog == 'object' ? this.conf.accessLog
+        : { format: typeof this.conf.accessLog == 'string' ? this.conf.accessLog : 'json' };
+    let redact = new Set([].concat(conf.redact || []).map(k => String(k).toLowerCase()));
+    let { req, res, headers } = input;
+    let start = process.hrtime();
+    let time = new Date();
+    let bytesOut = countBytes(res);
+    let logged = false;
+
+    let log = () => {
+        if(logged)
+            return;
+        logged = true;
+
+        let [ s, ns ] = process.hrtime(start);
+        let entry = {
+            type: 'access',
+            method: req.method,
+            route: input.route ? input.route.path : undefined,
+            path: getPath(input, redact),
+            status: res.statusCode,
+            duration: Math.round((s * 1e3 + ns / 1e6) * 1000) / 1000,
+            bytesIn: Number(headers['content-length']) || 0,
+            bytesOut: bytesOut(),
+            ip: getAddress(input),
+            userAgent: getHeader(headers, 'user-agent', redact),
+            referrer: getHeader(headers, 'referer', redact)
+        };
+
+        if(conf.format == 'combined')
+            return input.log.info({ type: 'access' }, formatCombined({
+                ...entry, time, httpVersion: req.httpVersion || '1.1' }));
+
+        let extra = [].concat(conf.headers || []);
+        for(let name of extra)
+            entry.headers = { ...entry.headers,
+                [name.toLowerCase()]: getHeader(headers, name.toLowerCase(), redact) };
+
+        input.log.info(entry, '%s %s %d %dms', entry.method, entry.path, entry.status, entry.duration);
+    };
+
+    res.once('finish', log);
+    res.once('close', log);
+};
@@ -1,37 +1,24 @@
 const assert = require('assert');
+const { EventEmitter } = require('events');
 const { METHODS } = require('http');
 const cookieSignature = require('cookie-signature');
 
 const resMethods = require('./response');
+const reqMethods = require('./request');
 const { handleError } = require('./error');
 const RequestBody = require('./body');
-
-function pathToRegexp(path){
-    let r = { params: [] };
-    let regexp = '';
-
-    path.split('/').forEach(seg => {
-        if(!seg)
-            return;
-
-        if(seg[0] == ':'){
-            r.params.push(seg.substr(1));
-            regexp += '\\/([\\w\\d\\-\\._~]+)';
-            return;
-        }
-
-        if(seg[0] == '('){
-            regexp += seg;
-            r.params.push('path');
-            return;
-        }
-
-        regexp += '\\/' + seg;
-    });
-
-    r.regexp = new RegExp(regexp);
-    return r;
-}
+const Router = require('./router');
+const compress = require('./compression');
+const { autoETag } = require('./etag');
+const buildStatic = require('./static');
+const { acceptUpgrade } = require('./ws');
+const { createLimiter } = require('./rate-limit');
+const { storage, getRequestId, childLogger } = require('./request-id');
+const { traceRequest } = require('./tracing');
+const logAccess = require('./access-log');
+const { buildValidator, compileResponses } = require('./schema');
+
+const ROOT_SCOPE = { prefix: '', middleware: [], groups: [] };
 
 function normalizeHandler(func){
     if(func.constructor.name === 'AsyncFunction')
@@ -43,36 +30,38 @@ function normalizeHandler(func){
     });
 }
 
-function buildStack(context, chain){
+function splitChain(chain){
+    let opts = {};
+    let handlers = chain.filter(h => {
+        if(!h || typeof h != 'object' || Array.isArray(h))
+            return true;
+        Object.assign(opts, h);
+        return false;
+    });
+    return { opts, handlers };
+}
+
+function describeRoute(text){
+    // this => route
+    let [ summary, ...rest ] = String(text).split('\n');
+    this.summary = summary.trim();
+    this.description = rest.join('\n').trim() || undefined;
+}
+
+function buildStack(context, chain, kind = 'handler'){
     let nextHandler = null;
-    return chain.reverse().map(h => {
+    return chain.reverse().map((h, i) => {
         assert(typeof h == 'function',
             new TypeError('Invalid route option \'' + typeof h + '\''));
+        let index = chain.length - 1 - i;
+        let name = kind + ' ' + (h.name || '#' + index);
         h = normalizeHandler(h.bind(context));
         h.next = nextHandler;
+        h.span = { name, attributes: { 'nodecaf.handler.index': index } };
         return nextHandler = h;
     }).reverse();
 }
 
-function matchRoute(method, path, params){
-    // this => API
-
-    let route = method + ' ' + path;
-    if(route in this.static)
-        return this.static[route];
-
-    if(this.dynamic[method])
-        for(let r of this.dynamic[method]){
-            let match = r.regexp.exec(path);
-            if(match){
-                r.params.forEach( (p, i) => params[p] = match[i + 1]);
-                return r.handler;
-            }
-        }
-
-    return false;
-}
-
 function runHandler(input, handler, done){
 
     if(input.res.stackAborted)
@@ -82,21 +71,39 @@ function runHandler(input, handler, done){
         ? () => runHandler(input, handler.next, done)
         : () => done();
 
-    handler(input).catch(err => handleError(err, input));
+    let span = input.span && input.span.startChild(handler.span.name, handler.span.attributes);
+
+    handler(input).catch(err => {
+        span && span.recordError(err);
+        handleError(err, input);
+    }).finally(() => span && span.end());
 }
 
 function generateResponseObject(method, url, req){
+    let chunks = [];
 
-    return {
+    return Object.assign(new EventEmitter(), {
         headers: {},
         req,
         statusCode: 200,
+
+        write(chunk){
+            chunks.push(Buffer.from(chunk));
+            return true;
+        },
+
         end(body){
             let output = { status: this.statusCode, headers: this.headers };
-            if(body)
+
+            // Written chunks are joined into a single buffer.
+            if(chunks.length > 0)
+                body = Buffer.concat([ ...chunks, ...body ? [ Buffer.from(body) ] : [] ]);
+
+            if(body && method != 'HEAD')
                 output.body = body;
             this.input.log.debug({ res: this });
             this.finished = true;
+            this.emit('finish');
             return this.routeEnded(output);
         },
 
@@ -106,18 +113,58 @@ function generateResponseObject(method, url, req){
 
         setHeader(key, value){
             this.headers[key] = value;
+        },
+
+        removeHeader(key){
+            delete this.headers[key];
         }
 
-    };
+    });
 
 }
 
 function generateRequestObject(method, path, input){
-    let obj = { method, path };
-    input.headers && Object.assign(obj, input.headers);
+    let obj = { method, path, headers: input.headers };
+    Object.assign(obj, input.headers);
     return obj;
 }
 
+function startTimer(input, ms){
+    // this => app
+    let { req, res, route } = input;
+    let controller = new AbortController();
+    input.signal = controller.signal;
+
+    if(!ms)
+        return;
+
+    let timer = setTimeout(() => {
+        if(res.finished)
+            return;
+
+        input.log.warn({ type: 'route', req },
+            'Request to %s %s timed out after %dms', route.method, route.path, ms);
+
+        res.timedOut = res.stackAborted = true;
+        controller.abort();
+
+        // A response already underway can only be cut short.
+        if(res.headersSent)
+            return res.socket && res.socket.destroy();
+
+        // Blame the client when it's still sending the request body.
+        if(req.readable && req.complete === false)
+            res.set('Connection', 'close').error(408, 'Request timeout');
+        else
+            res.error(503, 'Service unavailable');
+    }, ms);
+
+    // Long lived responses (eg.: event streams) take over the timing.
+    res.cancelTimeout = () => clearTimeout(timer);
+    res.once('finish', () => clearTimeout(timer));
+    res.once('close', () => clearTimeout(timer));
+}
+
 function parseSignedCookies(cconf, input){
     for(let key in input.cookies)
         // TODO 's:' needed??
@@ -139,56 +186,108 @@ function fork(input, func){
 }
 
 function buildHook(hookName, ...chain){
-    let stack = buildStack(this.context, chain);
+    let stack = buildStack(this.context, chain, hookName == 'preHook' ? 'pre' : 'pos');
     this[hookName] = stack[0];
     stack.slice(-1)[0].tail = true;
 }
 
-module.exports = class API {
+function joinPath(prefix, path){
+    let joined = (prefix + '/' + path).replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
 
-    constructor(context, spec){
-        this.routes = {};
-        this.static = {};
-        this.dynamic = {};
-        this.context = context;
+function runStacks(input, stacks, done){
+    let [ stack, ...rest ] = stacks;
+    runHandler(input, stack, rest.length > 0
+        ? () => runStacks(input, rest, done) : done);
+}
 
-        // Generate HTTP verb shortcut route methods
-        let proxy = METHODS.reduce( (o, m) =>
-            ({ ...o, [m.toLowerCase()]: this.addEndpoint.bind(this, m.toLowerCase()) }), {});
+function addRoute(scope, method, path, chain){
+    // this => API
 
-        // Needed because it's not possible to call a function called 'delete'
-        proxy.del = this.addEndpoint.bind(this, 'delete');
+    let m = method.toUpperCase();
+    let { opts, handlers } = splitChain(chain);
 
-        proxy.all = (...chain) => METHODS.forEach(m =>
-            this.addEndpoint(m.toLowerCase(), '(.*)', ...chain));
+    assert(handlers.length > 0, new Error('Route is empty at \'' + path + '\''));
 
-        proxy.pre = buildHook.bind(this, 'preHook');
-        proxy.pos = buildHook.bind(this, 'posHook');
+    // Bodies left unparsed can't be checked against a schema.
+    assert(!opts.schema || !opts.schema.body || opts.parseBody !== false && this.context._shouldParseBody,
+        new Error('Body schema requires the body to be parsed at \'' + path + '\''));
+    opts.schema && handlers.unshift(buildValidator(opts.schema));
+    let stack = buildStack(this.context, [ ...scope.middleware, ...handlers ]);
 
-        spec.call(context, proxy);
-    }
+    stack.slice(-1)[0].tail = true;
 
-    addEndpoint(method, path, ...chain){
+    let record = { method: m, path, opts, handler: stack[0], groups: scope.groups,
+        responses: compileResponses(opts.responses) };
+
+    // Route specific limits replace the global ones.
+    if(opts.rateLimit)
+        record.limiter = createLimiter({ prefix: m + ' ' + path + ':', ...opts.rateLimit });
+    record.params = this.router.add(m, path, record, { lenient: opts.paramError == 400 });
+    this.routes[m + ' ' + path] = record;
+
+    return {
+        desc(text){
+            describeRoute.call(record, text);
+            return this;
+        }
+    };
+}
+
+function buildProxy(scope){
+    // this => API
 
-        let m = method.toUpperCase();
-        let route = m + ' ' + path;
+    let add = (method, path, ...chain) => addRoute.call(this, scope, method,
+        scope.prefix ? joinPath(scope.prefix, path) : path, chain);
 
-        let dup = route in this.routes;
-        assert(!dup, new Error('Route for \'' + route + '\' is already defined'));
+    // Generate HTTP verb shortcut route methods
+    let proxy = METHODS.reduce( (o, m) =>
+        ({ ...o, [m.toLowerCase()]: add.bind(this, m.toLowerCase()) }), {});
 
-        assert(chain.length > 0, new Error('Route is empty at \'' + path + '\''));
-        let stack = buildStack(this.context, chain);
+    // Needed because it's not possible to call a function called 'delete'
+    proxy.del = add.bind(this, 'delete');
 
-        stack.slice(-1)[0].tail = true;
+    proxy.all = (...chain) => METHODS.forEach(m =>
+        add(m.toLowerCase(), '(.*)', ...chain));
 
-        this.routes[route] = true;
+    let target = scope.groups.slice(-1)[0] || this;
+    proxy.pre = buildHook.bind(target, 'preHook');
+    proxy.pos = buildHook.bind(target, 'posHook');
 
-        if(path.indexOf('/:') < 0 && path.indexOf('*') < 0)
-            return this.static[route] = stack[0];
+    proxy.group = (prefix, spec, ...middleware) => spec.call(this.context, buildProxy.call(this, {
+        prefix: joinPath(scope.prefix, prefix),
+        middleware: [ ...scope.middleware, ...middleware ],
+        groups: [ ...scope.groups, { context: this.context } ]
+    }));
 
-        this.dynamic[m] = this.dynamic[m] || [];
-        let { regexp, params } = pathToRegexp(path);
-        this.dynamic[m].push({ regexp, handler: stack[0], params });
+    proxy.mount = (prefix, spec) => proxy.group(prefix, spec);
+
+    // WebSocket routes are stored under a pseudo-method.
+    proxy.ws = (path, ...chain) => add('ws', path, { parseBody: false }, acceptUpgrade, ...chain);
+
+    proxy.static = (prefix, dir, opts) =>
+        add('get', joinPath(prefix, '*path'), buildStatic(dir, opts));
+
+    return proxy;
+}
+
+module.exports = class API {
+
+    constructor(context, spec){
+        this.info = {};
+        this.routes = {};
+        this.router = new Router();
+        this.context = context;
+
+        let proxy = buildProxy.call(this, ROOT_SCOPE);
+        proxy.info = info => Object.assign(this.info, info);
+
+        spec.call(context, proxy);
+    }
+
+    addEndpoint(method, path, ...chain){
+        return addRoute.call(this, ROOT_SCOPE, method, path, chain);
     }
 
     async trigger(method, path, input = {}){
@@ -199,48 +298,107 @@ module.exports = class API {
 
         input = {
             ...app.global, conf: app.conf, flash: {}, cookies: {}, headers: {},
-            query: {}, ...input, params, log: app.log, signedCookies: {}
+            query: {}, ...input, params, signedCookies: {},
+            stopSignal: app._stopController.signal, metrics: app._metrics
         };
         input.fork = fork.bind(app, input);
 
+        // Every log entry of the request is stamped with its ID.
+        let requestId = input.requestId = getRequestId(input.headers);
+        input.log = childLogger(app.log, { requestId });
+
         let req = input.req = input.req || generateRequestObject(method, path, input);
         let res = input.res = input.res || generateResponseObject(method, path, req);
         res.req = req;
         res.input = input;
+        res.setHeader('X-Request-Id', requestId);
+        Object.assign(req, reqMethods);
         Object.assign(res, resMethods);
+        app.conf.accessLog && logAccess.call(app, input);
+        app.conf.compression && compress(res, app.conf.compression);
+        app.conf.etag && autoETag(res);
 
-        app.log.debug({ req });
+        input.log.debug({ req });
 
-        req.body = input.body = new RequestBody(input);
-        if(app._shouldParseBody)
-            try{
-                input.body = await input.body.parse();
-            }
-            catch(err){
-                !req.aborted && res.badRequest(true);
-                return app.log.warn({ req, err, type: 'request' });
-            }
-
-        let handler = matchRoute.call(this, method, path, params);
+        let { data: route, allowed, params: values, invalid } = this.router.match(method, path);
+        Object.assign(params, values);
+        app._httpMetrics && app._httpMetrics.track(input, route);
+        input.span = app._tracer && traceRequest.call(app._tracer, input, route);
 
+        res.streams = app._streams;
         if(app.conf.cookie)
             res.cookieSecret = app.conf.cookie.secret;
         parseSignedCookies(app.conf.cookie, input);
 
         let masterPromise = new Promise(done => { res.routeEnded = done });
 
-        if(!handler){
-            res.status(404).end();
+        if(!route){
+            let methods = allowed.filter(m => m != 'WS');
+            if(allowed.includes('WS') && (method == 'GET' || methods.length == 0))
+                res.set('Upgrade', 'websocket').status(426).end();
+            else if(methods.length > 0)
+                res.set('Allow', methods.join(', ')).status(405).end();
+            else
+                res.status(404).end();
+            return masterPromise;
+        }
+
+        input.route = route;
+        startTimer.call(app, input, 'timeout' in route.opts ? route.opts.timeout : app.conf.timeout);
+
+        if(invalid){
+            res.error(400, 'Invalid value for parameter \'%s\'', invalid);
             return masterPromise;
         }
 
-        this.preHook && await new Promise(done => runHandler(input, this.preHook, done));
+        let limiter = route.opts.rateLimit === false ? null : route.limiter || app._limiter;
+        if(limiter)
+            try{
+                if(!await limiter.check(input))
+                    return masterPromise;
+            }
+            catch(err){
+                handleError(err, input);
+                return masterPromise;
+            }
+
+        req.body = input.body = new RequestBody(input, {
+            limits: { ...app.conf.body, ...route.opts.body },
+            storage: route.opts.storage
+        });
+        if(app._shouldParseBody && route.opts.parseBody !== false){
+            let span = input.span &&
+                input.span.startChild('parse body', { 'http.request.body.type': input.body.type });
+            try{
+                input.body = await input.body.parse();
+            }
+            catch(err){
+                span && span.recordError(err);
+                input.log.warn({ req, err, type: 'request' });
+                app._httpMetrics && app._httpMetrics.parseFailed(input, err.status || 400);
+                if(req.aborted || res.finished)
+                    return masterPromise;
+
+                // Stop receiving the remaining of a payload that is too large.
+                err.status == 413 && res.set('Connection', 'close');
+                res.error(err.status || 400);
+                return masterPromise;
+            }
+            finally{
+                span && span.end();
+            }
+        }
 
-        let warn = () => app.log.warn({ type: 'route' },
+        let warn = () => input.log.warn({ type: 'route' },
             'next() was called when the chain is finished');
 
-        runHandler(input, handler, this.posHook
-            ? () => runHandler(input, this.posHook, warn) : warn);
+        // Outer hooks wrap the inner ones: global, then each nested group.
+        let hooks = [ this, ...route.groups ];
+        storage.run({ requestId, log: input.log }, () => runStacks(input, [
+            ...hooks.map(h => h.preHook),
+            route.handler,
+            ...hooks.reverse().map(h => h.posHook)
+        ].filter(Boolean), warn));
 
         return masterPromise;
     }
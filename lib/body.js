@@ -1,10 +1,56 @@
 
+const assert = require('assert');
 const querystring = require('querystring');
 const contentType = require('content-type');
+const { Readable, Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { promisify } = require('util');
 
 const formdata = require('./form-data');
+const { HTTPError } = require('./error');
 
 const FALLBACK_CONTENT_TYPE = { type: 'text/plain', parameters: { charset: 'utf-8' } };
+const NDJSON_TYPES = [ 'application/x-ndjson', 'application/ndjson', 'application/jsonl' ];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// Bodies read into memory are always capped, streamed ones only when set.
+const DEFAULT_LIMIT = '1mb';
+
+function parseSize(size){
+    if(typeof size != 'string')
+        return size;
+
+    let m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(size.trim());
+    assert(m, new TypeError('Invalid size \'' + size + '\''));
+    return Math.floor(m[1] * SIZE_UNITS[(m[2] || 'b').toLowerCase()]);
+}
+
+function getLimit(kind, fallback){
+    // this => RequestBody
+    let limit = kind in this.limits ? this.limits[kind] : this.limits.limit;
+    return parseSize(typeof limit == 'undefined' ? fallback : limit);
+}
+
+const tooLarge = () => new HTTPError(413, 'Request body is too large', 'text');
+
+function respondTooLarge(){
+    // this => RequestBody
+    if(this.res.finished)
+        return tooLarge();
+    this.res.set('Connection', 'close');
+    return this.res.error(413, 'Request body is too large');
+}
+
+function limitStream(limit){
+    // this => RequestBody
+    let size = 0;
+    return new Transform({
+        transform: (chunk, enc, done) => {
+            size += chunk.length;
+            size > limit ? done(respondTooLarge.call(this)) : done(null, chunk);
+        }
+    });
+}
 
 function parseContentType(headers){
     try{
@@ -20,10 +66,19 @@ function parseContentType(headers){
     return ct;
 }
 
-function readStream(){
+function readStream(limit){
     var buffer = [];
-
-    this.req.on('data', chunk => buffer.push(chunk));
+    var size = 0;
+
+    this.req.on('data', chunk => {
+        size += chunk.length;
+        if(size > limit){
+            this.req.removeAllListeners('data');
+            this.req.pause();
+            return this.req.emit('error', tooLarge());
+        }
+        buffer.push(chunk);
+    });
 
     this.req.on('close', () => {
         buffer = null;
@@ -36,6 +91,12 @@ function readStream(){
 
     return new Promise((resolve, reject) => {
 
+        if(this.length > limit){
+            this.complete = true;
+            this.req.removeAllListeners('data');
+            return reject(tooLarge());
+        }
+
         this.req.on('aborted', () =>
             this.req.emit('error', new Error('Request aborted by the client')));
 
@@ -51,12 +112,12 @@ function readStream(){
     });
 }
 
-async function read(parse){
+async function read(kind, parse){
 
     if(!this.isStream)
         return this.origBody;
 
-    let out = await readStream.call(this);
+    let out = await readStream.call(this, getLimit.call(this, kind, DEFAULT_LIMIT));
 
     if(typeof parse == 'function')
         out = parse(out);
@@ -66,8 +127,10 @@ async function read(parse){
 
 module.exports = class RequestBody {
 
-    constructor({ req, res, headers, body }){
+    constructor({ req, res, headers, body, conf }, { limits, storage } = {}){
         Object.assign(this, parseContentType(headers));
+        this.limits = limits || {};
+        this.storage = storage || formdata.diskStorage(conf && conf.formFileDir);
         this.req = req;
         this.res = res;
         this.origBody = body;
@@ -77,31 +140,103 @@ module.exports = class RequestBody {
     }
 
     raw(){
-        return read.call(this);
+        return read.call(this, 'raw');
     }
 
     async text(){
         this.res.badType(!this.originalCharset && this.type.slice(0, 4) != 'text');
-        return await read.call(this, raw => raw.toString(this.textCharset));
+        return await read.call(this, 'text', raw => raw.toString(this.textCharset));
     }
 
     async urlencoded(){
         this.res.badType(this.type != 'application/x-www-form-urlencoded');
-        return await read.call(this, raw =>
+        return await read.call(this, 'urlencoded', raw =>
             querystring.parse(raw.toString(this.textCharset)));
     }
 
     async json(){
         this.res.badType(this.type.slice(-4) != 'json');
 
-        return await read.call(this, raw =>
+        return await read.call(this, 'json', raw =>
             JSON.parse(raw.toString(this.textCharset)));
     }
 
+    stream(kind = 'raw'){
+
+        if(!this.isStream){
+            let body = this.origBody;
+            if(body && typeof body == 'object' && !Buffer.isBuffer(body))
+                body = JSON.stringify(body);
+            return Readable.from(body == null ? [] : [ body ], { objectMode: false });
+        }
+
+        let limit = getLimit.call(this, kind);
+        if(typeof limit != 'number')
+            return this.req;
+
+        if(this.length > limit)
+            throw respondTooLarge.call(this);
+
+        // Piping doesn't forward errors, so clients going away must end the stream too.
+        let stream = limitStream.call(this, limit);
+        this.req.on('close', () => this.req.complete ||
+            stream.destroy(new Error('Request aborted by the client')));
+        return this.req.pipe(stream);
+    }
+
+    pipe(dest){
+        return promisify(pipeline)(this.stream(), dest);
+    }
+
+    async *ndjson(){
+        this.res.badType(!NDJSON_TYPES.includes(this.type));
+
+        let decoder = new StringDecoder(this.textCharset);
+        let rest = '';
+        let lineNumber = 0;
+
+        let parseLine = line => {
+            try{
+                return JSON.parse(line);
+            }
+            catch(err){
+                throw this.res.error(400, 'Invalid JSON on line %d', lineNumber);
+            }
+        };
+
+        for await(let chunk of this.stream('ndjson')){
+            let lines = (rest + decoder.write(chunk)).split('\n');
+            rest = lines.pop();
+            for(let line of lines){
+                lineNumber++;
+                if(line.trim())
+                    yield parseLine(line);
+            }
+        }
+
+        rest += decoder.end();
+        lineNumber++;
+        if(rest.trim())
+            yield parseLine(rest);
+    }
+
     parse(){
 
+        // Streamed formats are left for the handlers to consume.
+        if(NDJSON_TYPES.includes(this.type))
+            return this;
+
         if(this.type == 'multipart/form-data')
-            return formdata(this.req);
+            return formdata(this.req, {
+                storage: this.storage,
+                limits: {
+                    limit: getLimit.call(this, 'form'),
+                    fileSize: parseSize(this.limits.fileSize),
+                    fieldSize: parseSize(this.limits.fieldSize),
+                    files: this.limits.files,
+                    fields: this.limits.fields
+                }
+            });
 
         if(this.type.slice(-4) == 'json')
             return this.json();
@@ -116,3 +251,5 @@ module.exports = class RequestBody {
     }
 
 }
+
+module.exports.parseSize = parseSize;
@@ -0,0 +1,81 @@
+const zlib = require('zlib');
+const { parseSize } = require('./body');
+
+const ENCODERS = {
+    br: level => zlib.createBrotliCompress(level === undefined ? {} :
+        { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }),
+    gzip: level => zlib.createGzip({ level }),
+    deflate: level => zlib.createDeflate({ level })
+};
+
+const COMPRESSIBLE = /^text\/|[/+](json|xml|javascript)\b|^image\/svg\+xml/i;
+const NO_BODY_STATUSES = [ 204, 304 ];
+
+function shouldCompress(res, size){
+    // this => settings
+
+    let type = String(res.get('Content-Type') || '');
+    if(res.noCompression || res.headersSent || res.get('Content-Encoding') ||
+        NO_BODY_STATUSES.includes(res.statusCode) || res.req.method == 'HEAD')
+        return false;
+
+    // Event streams must reach the client as soon as they are written.
+    if(!COMPRESSIBLE.test(type) || type.startsWith('text/event-stream'))
+        return false;
+
+    res.append('Vary', 'Accept-Encoding');
+    return size >= this.threshold;
+}
+
+function startEncoder(res, origWrite, origEnd){
+    // this => settings
+
+    let encoding = res.req.acceptsEncodings(...this.encodings, 'identity');
+    if(!encoding || encoding == 'identity')
+        return null;
+
+    let encoder = ENCODERS[encoding](this.level);
+    res.set('Content-Encoding', encoding);
+    res.removeHeader('Content-Length');
+
+    encoder.on('data', chunk => origWrite.call(res, chunk));
+    encoder.on('drain', () => res.emit('drain'));
+    encoder.on('end', () => origEnd.call(res));
+    return encoder;
+}
+
+// Replace the response writing methods with ones that pipe through a zlib encoder.
+module.exports = function compress(res, conf){
+    let settings = {
+        threshold: parseSize(conf.threshold || '1kb'),
+        encodings: (conf.encodings || Object.keys(ENCODERS)).filter(e => e in ENCODERS),
+        level: conf.level
+    };
+
+    let origWrite = res.write;
+    let origEnd = res.end;
+    let encoder;
+    let started = false;
+
+    let start = size => {
+        started = true;
+        if(shouldCompress.call(settings, res, size))
+            encoder = startEncoder.call(settings, res, origWrite, origEnd);
+    };
+
+    res.write = function(chunk, ...args){
+        started || start(Number(res.get('Content-Length')) || Infinity);
+        return encoder ? encoder.write(chunk, ...args) : origWrite.call(res, chunk, ...args);
+    };
+
+    res.end = function(chunk, ...args){
+        let data = typeof chunk == 'function' ? null : chunk;
+        started || start(data ? Buffer.byteLength(data) : 0);
+
+        if(!encoder)
+            return origEnd.call(res, chunk, ...args);
+
+        data ? encoder.end(data) : encoder.end();
+        return res;
+    };
+};
@@ -30,6 +30,10 @@ function handleError(err, input){
 
     let { log, res } = input;
 
+    // The client already got a response when the request timed out.
+    if(res.timedOut)
+        return log.debug({ type: 'route', err }, 'Failed after the request timed out');
+
     err = anythingToError(err);
 
     if(err.status < 500)
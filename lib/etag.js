@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = [ 'GET', 'HEAD' ];
+
+function generateETag(body){
+    let hash = crypto.createHash('sha1').update(body).digest('base64').substr(0, 27);
+    return 'W/"' + Buffer.byteLength(body).toString(16) + '-' + hash + '"';
+}
+
+// Compare against a list of tags. Strong comparison fails for any weak tag.
+function matchETag(header, etag, strong){
+    let opaque = tag => tag.replace(/^W\//, '');
+    return String(header).split(',').map(t => t.trim()).some(tag => tag == '*' ||
+        (strong ? !tag.startsWith('W/') && tag == etag : opaque(tag) == opaque(etag)));
+}
+
+// Set a weak ETag for bodies sent at once and answer fresh requests with 304.
+function autoETag(res){
+    let origWrite = res.write;
+    let origEnd = res.end;
+    let streamed = false;
+
+    res.write = function(...args){
+        streamed = true;
+        return origWrite.apply(res, args);
+    };
+
+    res.end = function(chunk, ...args){
+        let applicable = !streamed && res.statusCode == 200 && !res.get('ETag') &&
+            SAFE_METHODS.includes(res.req.method) &&
+            (typeof chunk == 'string' || Buffer.isBuffer(chunk)) && chunk.length > 0;
+
+        if(!applicable)
+            return origEnd.call(res, chunk, ...args);
+
+        let etag = generateETag(chunk);
+        res.set('ETag', etag);
+
+        let noneMatch = res.req.headers['if-none-match'];
+        if(noneMatch && matchETag(noneMatch, etag)){
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Length');
+            return origEnd.call(res.status(304));
+        }
+
+        return origEnd.call(res, chunk, ...args);
+    };
+}
+
+module.exports = { SAFE_METHODS, generateETag, matchETag, autoETag };
@@ -2,43 +2,138 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
 
 const Busboy = require('busboy');
 
-// TODO handle file arrays
+const { HTTPError } = require('./error');
 
 let makeSafer = s => s.replace('__proto__', 'proto');
 
-module.exports = async function(req){
+// Repeated keys become arrays of values.
+function assign(data, key, value){
+    key = makeSafer(key);
+    data[key] = Object.prototype.hasOwnProperty.call(data, key) ? [].concat(data[key], value) : value;
+}
+
+function diskStorage(dir){
+    return {
+
+        // Files left in the temp dir are deleted after the response is sent.
+        temporary: true,
+
+        async store(file){
+            let fp = path.join(dir || os.tmpdir(), crypto.randomBytes(16).toString('hex'));
+            try{
+                await promisify(pipeline)(file, fs.createWriteStream(fp));
+            }
+            catch(err){
+                // Don't leave partial files of interrupted uploads behind.
+                await fs.promises.unlink(fp).catch(Function.prototype);
+                throw err;
+            }
+            return { path: fp, mv: fs.promises.rename.bind(fs.promises, fp) };
+        },
+
+        remove({ path }){
+            return fs.promises.unlink(path);
+        }
+
+    };
+}
+
+module.exports = async function(req, { limits: { limit, ...limits }, storage }){
     let data = {};
+    let uploads = [];
+    let streams = new Set();
+    let total = 0;
+    let failure = null;
+
+    if(req.headers['content-length'] > limit)
+        throw new HTTPError(413, 'Request body is too large', 'text');
+
+    let busboy = new Busboy({ headers: req.headers, limits });
+
+    // Remove each file once its store is done, failed stores leave nothing to remove.
+    let discarded = false;
+    let discard = () => {
+        if(discarded)
+            return;
+        discarded = true;
+        uploads.forEach(({ entry, stored }) => stored.then(ok =>
+            ok && storage.remove && storage.remove(entry)).catch(Function.prototype));
+    };
 
-    let busboy = new Busboy({ headers: req.headers });
-
-    busboy.on('file', function(field, file, filename){
-        let fh = crypto.createHash('sha1');
-        fh.update(new Date().toISOString() + filename);
-        let random = fh.digest('hex');
-        let fp = path.join(os.tmpdir(), random);
-        let size = 0;
-        file.pipe(fs.createWriteStream(fp));
-        file.on('data', data => size += data.length);
-        file.on('end', () => data[makeSafer(field)] = {
-            path: fp,
-            name: filename,
-            size,
-            mv: fs.promises.rename.bind(fs.promises, fp)
+    // Interrupt files still being stored so their stores reject.
+    let abort = err => {
+        if(failure)
+            return;
+        failure = err;
+        req.unpipe(busboy);
+        req.pause();
+        streams.forEach(file => file.destroy(err));
+        discard();
+        busboy.emit('error', err);
+    };
+
+    let fail = () => abort(new HTTPError(413, 'Request body is too large', 'text'));
+
+    req.on('data', chunk => (total += chunk.length) > limit && fail());
+    req.on('close', () => req.complete || abort(new Error('Request aborted by the client')));
+    busboy.on('filesLimit', fail);
+    busboy.on('fieldsLimit', fail);
+
+    busboy.on('file', function(field, file, ...info){
+        let [ name, encoding, type ] = info;
+        let entry = { name, type, encoding, size: 0 };
+        assign(data, field, entry);
+        streams.add(file);
+        file.on('end', () => streams.delete(file));
+        file.on('data', chunk => entry.size += chunk.length);
+        file.on('limit', fail);
+
+        let stored = storage.store(file, { field, name, encoding, type }).then(result => {
+            Object.assign(entry, result);
+            return true;
+        }, err => {
+            if(!failure){
+                err.status = 500;
+                abort(err);
+            }
+            return false;
         });
-        req.on('handle', () => fs.promises.unlink(fp).catch(Function.prototype));
+        uploads.push({ entry, stored });
+    });
+
+    busboy.on('field', (field, value, nameTruncated, valueTruncated) => {
+        if(valueTruncated)
+            return fail();
+        assign(data, field, value);
     });
 
-    busboy.on('field', (field, value) => data[makeSafer(field)] = value);
+    // Get rid of temp files no one cared to keep once the request is handled.
+    storage.temporary && req.once('handle', discard);
 
     req.pipe(busboy);
 
-    await new Promise((resolve, reject) => {
-        busboy.on('finish', resolve);
-        busboy.on('error', reject);
-    });
+    try{
+        await new Promise((resolve, reject) => {
+            busboy.on('finish', resolve);
+            busboy.on('error', reject);
+        });
+
+        await Promise.all(uploads.map(u => u.stored));
+        if(failure)
+            throw failure;
+    }
+    catch(err){
+        // Files of a failed request are never handed to the route.
+        discard();
+        throw err;
+    }
 
     return data;
 }
+
+module.exports.diskStorage = diskStorage;
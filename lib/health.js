@@ -0,0 +1,70 @@
+
+const DEFAULT_TIMEOUT = 5000;
+
+async function runCheck({ fn, timeout }){
+    // this => app
+    timeout = timeout || this.conf.health.timeout || DEFAULT_TIMEOUT;
+    let start = Date.now();
+    let timer;
+
+    try{
+        let ok = await Promise.race([
+            this.call(fn),
+            new Promise((resolve, reject) => timer = setTimeout(() =>
+                reject(new Error('Timed out after ' + timeout + 'ms')), timeout))
+        ]);
+        if(ok === false)
+            throw new Error('Check failed');
+        return { status: 'up', duration: Date.now() - start };
+    }
+    catch(err){
+        return { status: 'down', duration: Date.now() - start, error: err.message };
+    }
+    finally{
+        clearTimeout(timer);
+    }
+}
+
+async function checkReadiness(){
+    // this => app
+    let report = { status: 'down', state: this.state, checks: {} };
+
+    // Dependencies might not be available before the app is fully started.
+    if(this.state != 'running')
+        return report;
+
+    let names = [ ...this._healthChecks.keys() ];
+    let results = await Promise.all(names.map(name =>
+        runCheck.call(this, this._healthChecks.get(name))));
+    names.forEach((name, i) => report.checks[name] = results[i]);
+
+    report.status = results.every(r => r.status == 'up') ? 'up' : 'down';
+    return report;
+}
+
+function send(res, status, body){
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = {
+
+    // Respond to health probes and resolve true if the request was one of them.
+    async handleHealth(req, res){
+        // this => app
+        let base = (this.conf.health.path || '/health').replace(/\/$/, '');
+        let path = req.url.split('?')[0].replace(/\/$/, '');
+
+        if(path == base + '/live')
+            send(res, 200, { status: 'up', state: this.state });
+        else if(path == base + '/ready'){
+            let report = await checkReadiness.call(this);
+            send(res, report.status == 'up' ? 200 : 503, report);
+        }
+        else
+            return false;
+
+        return true;
+    }
+
+};
@@ -1,35 +1,182 @@
 const cookie = require('cookie');
 const querystring = require('querystring');
+const { EventEmitter } = require('events');
+const { STATUS_CODES, createServer } = require('http');
+const { handleHealth } = require('./health');
+const { handleMetrics } = require('./metrics');
+const { resolveProxy } = require('./proxy');
 const normalizePath = p => (p.slice(-1) == '/' ? p.slice(0, -1) : p) || '/';
 
+function parseRequest(req, trust){
+    let [ path, query ] = req.url.split('?');
+    req.path = normalizePath(path);
+    req.cookies = cookie.parse(req.headers.cookie || '');
+    req.query = querystring.parse(query);
+    resolveProxy(req, trust);
+}
+
+const getInput = (req, res) => ({
+    query: req.query, req, res, headers: req.headers, cookies: req.cookies,
+    ip: req.ip, ips: req.ips, protocol: req.protocol, secure: req.secure, hostname: req.hostname
+});
+
+// Response written straight to the socket of an upgrade request.
+function createRawResponse(req, socket, head){
+    let chunks = [];
+
+    return Object.assign(new EventEmitter(), {
+        socket,
+        head,
+        headers: {},
+        statusCode: 200,
+
+        getHeader(key){
+            return this.headers[key.toLowerCase()];
+        },
+
+        setHeader(key, value){
+            this.headers[key.toLowerCase()] = value;
+        },
+
+        removeHeader(key){
+            delete this.headers[key.toLowerCase()];
+        },
+
+        write(chunk){
+            chunks.push(Buffer.from(chunk));
+            return true;
+        },
+
+        end(body){
+            if(this.finished)
+                return;
+            body && chunks.push(Buffer.from(body));
+
+            let payload = req.method == 'HEAD' ? Buffer.alloc(0) : Buffer.concat(chunks);
+            let headers = { ...this.headers, 'content-length': payload.length, connection: 'close' };
+            let lines = [ 'HTTP/1.1 ' + this.statusCode + ' ' + STATUS_CODES[this.statusCode] ];
+            for(let name in headers)
+                [].concat(headers[name]).forEach(v => lines.push(name + ': ' + v));
+
+            socket.end(Buffer.concat([ Buffer.from(lines.join('\r\n') + '\r\n\r\n'), payload ]));
+            this.finished = true;
+            this.emit('finish');
+        }
+
+    });
+}
+
+function trackResponse(socket, res){
+    // this => app
+    let active = this._sockets.get(socket);
+    if(!active)
+        return;
+
+    active.add(res);
+    this.state == 'stopping' && res.setHeader('Connection', 'close');
+
+    res.on('close', () => {
+        active.delete(res);
+        this.state == 'stopping' && active.size == 0 && socket.end();
+    });
+}
+
 async function handleRequest(req, res){
     // this => app
 
+    // Health probes are answered outside of the API.
+    if(this.conf.health && await handleHealth.call(this, req, res))
+        return;
+
+    if(this.conf.metrics && !this.conf.metrics.port && handleMetrics.call(this, req, res))
+        return;
+
     if(req.method == 'OPTIONS')
         return this._cors(req, res);
     else if(this.conf.cors)
         await new Promise(done => this._cors(req, res, done));
 
-    let [ path, query ] = req.url.split('?');
-    req.path = normalizePath(path);
-    req.cookies = cookie.parse(req.headers.cookie || '');
-    req.query = querystring.parse(query);
+    parseRequest(req, this._trustProxy);
+    trackResponse.call(this, req.socket, res);
 
-    res.on('finish', () => this.log.debug({ res }));
+    res.on('finish', () => (res.input ? res.input.log : this.log).debug({ res }));
+    res.on('close', () => req.emit('handle'));
 
-    await this._api.trigger(req.method, req.path, {
-        query: req.query, req, res, headers: req.headers, cookies: req.cookies
-    });
+    await this._api.trigger(req.method, req.path, getInput(req, res));
+}
+
+async function handleUpgrade(req, socket, head){
+    // this => app
+
+    // Upgraded sockets are no longer handled by the server.
+    this._sockets.delete(socket);
+    socket.on('error', () => socket.destroy());
+
+    parseRequest(req, this._trustProxy);
+    let res = createRawResponse(req, socket, head);
+    res.on('finish', () => (res.input ? res.input.log : this.log).debug({ res }));
+
+    // Other protocols are answered as plain HTTP requests.
+    let method = String(req.headers.upgrade).toLowerCase() == 'websocket' ? 'WS' : req.method;
+
+    await this._api.trigger(method, req.path, getInput(req, res));
 }
 
 module.exports = {
 
     async startServer(){
         let handler = handleRequest.bind(this);
+        this._sockets = new Map();
         this._server = this._serverBuilder(this).on('request', handler);
+        this._server.on('upgrade', handleUpgrade.bind(this));
+
+        // Keep the responses being sent through each connection.
+        this._server.on('connection', socket => {
+            this._sockets.set(socket, new Set());
+            socket.on('close', () => this._sockets.delete(socket));
+        });
+
         await new Promise(done => this._server.listen(this.conf.port, done));
         this.log.info({ type: 'server' },
             '%s v%s is ready on port %s', this._name, this._version, this.conf.port);
+
+        // Metrics can be kept out of the public port.
+        if(this.conf.metrics && this.conf.metrics.port){
+            let sockets = this._metricsSockets = new Set();
+            this._metricsServer = createServer((req, res) =>
+                handleMetrics.call(this, req, res) || res.writeHead(404).end());
+            this._metricsServer.on('connection', socket => {
+                sockets.add(socket);
+                socket.on('close', () => sockets.delete(socket));
+            });
+            await new Promise(done => this._metricsServer.listen(this.conf.metrics.port, done));
+            this.log.info({ type: 'server' }, 'Metrics are available on port %s', this.conf.metrics.port);
+        }
+    },
+
+    stopServer(){
+        let closed = new Promise(done => this._server.close(done));
+
+        if(this._metricsServer){
+            let server = this._metricsServer;
+            closed = Promise.all([ closed, new Promise(done => server.close(done)) ]);
+            // Scrapes are cheap to retry, so their connections don't wait.
+            this._metricsSockets.forEach(socket => socket.destroy());
+            delete this._metricsServer;
+        }
+
+        // Idle connections are closed now, busy ones after their responses.
+        for(let [ socket, active ] of this._sockets){
+            active.size == 0 && socket.end();
+            active.forEach(res => res.headersSent || res.setHeader('Connection', 'close'));
+        }
+
+        let timer = setTimeout(() => {
+            this.log.warn({ type: 'server' }, 'Destroying %d connections after shutdown timeout', this._sockets.size);
+            this._sockets.forEach((active, socket) => socket.destroy());
+        }, this.conf.shutdownTimeout || 10000);
+
+        return closed.then(() => clearTimeout(timer));
     }
 
 }
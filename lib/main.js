@@ -5,8 +5,14 @@ const
     assert = require('assert'),
     confort = require('confort');
 
-const { startServer } = require('./http');
+const { startServer, stopServer } = require('./http');
 const API = require('./api');
+const describe = require('./open-api');
+const { createLimiter } = require('./rate-limit');
+const { Registry, createHTTPMetrics } = require('./metrics');
+const { storage } = require('./request-id');
+const { createTracer, InMemoryExporter, OTLPExporter } = require('./tracing');
+const { compileTrust } = require('./proxy');
 
 const SHORT_TYPES = {
     form: 'multipart/form-data',
@@ -14,6 +20,8 @@ const SHORT_TYPES = {
     json: 'application/json'
 };
 
+const SIGNALS = [ 'SIGTERM', 'SIGINT' ];
+
 const noop = function(){};
 noop.noop = true;
 
@@ -31,6 +39,21 @@ function retryShortly(fn){
     return new Promise(done => setTimeout(() => fn().then(done), 1000));
 }
 
+function handleSignals(enable){
+    // this => app
+    if(!this._handleSignals)
+        return;
+
+    this._onSignal = this._onSignal || (signal => {
+        this.log.info({ type: 'app' }, 'Received %s', signal);
+        this.stop();
+    });
+
+    SIGNALS.forEach(s => enable
+        ? process.once(s, this._onSignal)
+        : process.removeListener(s, this._onSignal));
+}
+
 function validateOpts(opts){
     assert(typeof opts == 'object',
         new TypeError('Options argument must be an object'));
@@ -39,6 +62,7 @@ function validateOpts(opts){
     this._startup = opts.startup || noop;
     this._shutdown = opts.shutdown || noop;
     this._serverBuilder = opts.server || (() => http.createServer());
+    this._traceExporter = opts.traceExporter;
 
     let { name, version } = findPkgInfo();
     this._name = opts.name || name;
@@ -55,6 +79,9 @@ function validateOpts(opts){
 
     assert(typeof this._serverBuilder == 'function',
         new TypeError('Server builder must be a function'));
+
+    assert(!this._traceExporter || typeof this._traceExporter.export == 'function',
+        new TypeError('Trace exporter must have an export function'));
 }
 
 module.exports = class Nodecaf {
@@ -66,9 +93,14 @@ module.exports = class Nodecaf {
 
         this._shouldParseBody = opts.shouldParseBody || typeof opts.shouldParseBody == 'undefined';
         this._alwaysRebuildAPI = opts.alwaysRebuildAPI || false;
+        this._handleSignals = opts.handleSignals || false;
+        this._stopController = new AbortController();
+        this._healthChecks = new Map();
+        this._metrics = new Registry();
 
         this.conf = {};
         this.state = 'standby';
+        this._streams = new Set();
 
         this.setup(opts.conf);
 
@@ -79,6 +111,9 @@ module.exports = class Nodecaf {
     setup(objectOrPath){
         this.conf = confort(this.conf, objectOrPath || {});
         this._cors = cors(this.conf.cors);
+        this._limiter = this.conf.rateLimit && createLimiter(this.conf.rateLimit);
+        this._trustProxy = compileTrust(this.conf.trustProxy);
+        this._httpMetrics = this.conf.metrics && createHTTPMetrics(this._metrics, this.conf.metrics);
 
         if(this.conf.log)
             this.conf.log.defaults = { app: this._name };
@@ -94,6 +129,17 @@ module.exports = class Nodecaf {
         }
     }
 
+    healthCheck(name, fn, { timeout } = {}){
+        assert(typeof fn == 'function', new TypeError('Health check must be a function'));
+        this._healthChecks.set(name, { fn, timeout });
+        return this;
+    }
+
+    rateLimit(opts){
+        let limiter = createLimiter(opts);
+        return async input => await limiter.check(input) && input.next();
+    }
+
     async start(){
 
         if(this.state in { running: 1, starting: 1 })
@@ -106,6 +152,11 @@ module.exports = class Nodecaf {
         await new Promise(done => setTimeout(done, this.conf.delay));
 
         this.global = {};
+        this._stopController = new AbortController();
+        handleSignals.call(this, true);
+
+        if(this.conf.tracing || this._traceExporter)
+            this._tracer = createTracer.call(this, this.conf.tracing || {}, this._traceExporter);
 
         if(this._alwaysRebuildAPI)
             this._api = new API(this, this._apiSpec);
@@ -131,12 +182,25 @@ module.exports = class Nodecaf {
             return await retryShortly(() => this.stop());
 
         this.state = 'stopping';
+        this._stopController.abort();
+        handleSignals.call(this, false);
 
         // Stop listening; Run shutdown handler; Wait actual http close
         if(this._server)
-            var closedPromise = new Promise(done => this._server.close(done));
+            var closedPromise = stopServer.call(this);
+
+        // Event streams and WebSockets would keep the server from ever closing.
+        let streamsClosed = Promise.all([ ...this._streams ].map(stream => stream.close()));
+
         await this._shutdown(this);
         await closedPromise;
+        await streamsClosed;
+
+        // Send spans of the last requests before going away.
+        if(this._tracer){
+            await this._tracer.shutdown();
+            delete this._tracer;
+        }
 
         delete this.global;
 
@@ -146,7 +210,14 @@ module.exports = class Nodecaf {
     }
 
     call(fn, ...args){
-        return fn({ ...this.global, conf: this.conf,  log: this.log }, ...args);
+        // Calls made while handling a request keep its ID and logger.
+        let context = storage.getStore();
+        return fn({ ...this.global, conf: this.conf,  log: this.log, ...context }, ...args);
+    }
+
+    describe(){
+        assert(this._api, new Error('API has not been built yet'));
+        return describe(this._api, { name: this._name, version: this._version });
     }
 
     trigger(method, path, input){
@@ -163,3 +234,6 @@ module.exports = class Nodecaf {
     }
 
 }
+
+module.exports.InMemoryExporter = InMemoryExporter;
+module.exports.OTLPExporter = OTLPExporter;
@@ -0,0 +1,195 @@
+const assert = require('assert');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels){
+    let pairs = Object.keys(labels).map(k => k + '="' + escape(labels[k]) + '"');
+    return pairs.length > 0 ? '{' + pairs.join(',') + '}' : '';
+}
+
+class Metric {
+
+    constructor(type, name, help, labelNames = []){
+        assert(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name), new TypeError('Invalid metric name \'' + name + '\''));
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    // Get the entry for the given label values creating it if needed.
+    entry(labels = {}, init = 0){
+        let values = this.labelNames.map(n => labels[n] === undefined ? '' : String(labels[n]));
+        let key = values.join('\u0000');
+        if(!this.values.has(key))
+            this.values.set(key, { labels: values, value: init });
+        return this.values.get(key);
+    }
+
+    labelsOf(entry){
+        return this.labelNames.reduce((o, n, i) => ({ ...o, [n]: entry.labels[i] }), {});
+    }
+
+    render(){
+        let lines = [ '# HELP ' + this.name + ' ' + escape(this.help), '# TYPE ' + this.name + ' ' + this.type ];
+        for(let entry of this.values.values())
+            lines.push(this.name + formatLabels(this.labelsOf(entry)) + ' ' + entry.value);
+        return lines.join('\n');
+    }
+
+}
+
+class Counter extends Metric {
+
+    inc(labels, value = 1){
+        assert(value >= 0, new RangeError('Counters can only be increased'));
+        this.entry(labels).value += value;
+    }
+
+}
+
+class Gauge extends Metric {
+
+    inc(labels, value = 1){
+        this.entry(labels).value += value;
+    }
+
+    dec(labels, value = 1){
+        this.entry(labels).value -= value;
+    }
+
+    set(labels, value){
+        this.entry(labels).value = value;
+    }
+
+}
+
+class Histogram extends Metric {
+
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS){
+        super('histogram', name, help, labelNames);
+        this.buckets = [ ...buckets ].sort((a, b) => a - b);
+    }
+
+    observe(labels, value){
+        let entry = this.entry(labels, null);
+        entry.value = entry.value || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((le, i) => value <= le && entry.value.counts[i]++);
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    render(){
+        let lines = [ '# HELP ' + this.name + ' ' + escape(this.help), '# TYPE ' + this.name + ' histogram' ];
+        for(let entry of this.values.values()){
+            let labels = this.labelsOf(entry);
+            let { counts, sum, count } = entry.value;
+            this.buckets.forEach((le, i) => lines.push(this.name + '_bucket' +
+                formatLabels({ ...labels, le }) + ' ' + counts[i]));
+            lines.push(this.name + '_bucket' + formatLabels({ ...labels, le: '+Inf' }) + ' ' + count);
+            lines.push(this.name + '_sum' + formatLabels(labels) + ' ' + sum);
+            lines.push(this.name + '_count' + formatLabels(labels) + ' ' + count);
+        }
+        return lines.join('\n');
+    }
+
+}
+
+function register(type, name, create){
+    // this => Registry
+    let metric = this.metrics.get(name);
+    if(metric){
+        assert(metric.type == type, new Error('Metric \'' + name + '\' is already registered as a ' + metric.type));
+        return metric;
+    }
+    metric = create();
+    this.metrics.set(name, metric);
+    return metric;
+}
+
+class Registry {
+
+    constructor(){
+        this.metrics = new Map();
+    }
+
+    counter(name, help, labelNames){
+        return register.call(this, 'counter', name, () => new Counter('counter', name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames){
+        return register.call(this, 'gauge', name, () => new Gauge('gauge', name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets){
+        return register.call(this, 'histogram', name, () => new Histogram(name, help, labelNames, buckets));
+    }
+
+    render(){
+        return [ ...this.metrics.values() ].map(m => m.render()).join('\n\n') + '\n';
+    }
+
+}
+
+// Instrument requests going through the API.
+function createHTTPMetrics(registry, { buckets } = {}){
+    let labels = [ 'method', 'route', 'status' ];
+    let requests = registry.counter('http_requests_total', 'Total HTTP requests', labels);
+    let duration = registry.histogram('http_request_duration_seconds',
+        'HTTP request duration in seconds', labels, buckets);
+    let inFlight = registry.gauge('http_requests_in_flight', 'HTTP requests being handled', [ 'method', 'route' ]);
+    let parseFailures = registry.counter('http_body_parse_failures_total',
+        'Request bodies that failed to be parsed', labels);
+
+    return {
+
+        track({ req, res }, route){
+            let labels = { method: req.method, route: route ? route.path : 'unmatched' };
+            let start = process.hrtime();
+            let done = false;
+
+            inFlight.inc(labels);
+
+            let end = () => {
+                if(done)
+                    return;
+                done = true;
+                let [ s, ns ] = process.hrtime(start);
+                inFlight.dec(labels);
+                requests.inc({ ...labels, status: res.statusCode });
+                duration.observe({ ...labels, status: res.statusCode }, s + ns / 1e9);
+            };
+
+            res.once('finish', end);
+            res.once('close', end);
+        },
+
+        parseFailed({ req, route }, status){
+            parseFailures.inc({ method: req.method, route: route.path, status });
+        }
+
+    };
+}
+
+module.exports = {
+
+    Registry,
+    createHTTPMetrics,
+
+    // Respond with the metrics and return true if the request was for them.
+    handleMetrics(req, res){
+        // this => app
+        let path = req.url.split('?')[0].replace(/\/$/, '') || '/';
+        if(path != (this.conf.metrics.path || '/metrics'))
+            return false;
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.end(req.method == 'HEAD' ? undefined : this._metrics.render());
+        return true;
+    }
+
+};
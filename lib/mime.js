@@ -0,0 +1,37 @@
+
+// Short names accepted wherever a content-type is expected.
+const SHORT_TYPES = {
+    text: 'text/plain',
+    json: 'application/json',
+    binary: 'application/octet-stream',
+    html: 'text/html',
+    csv: 'text/csv',
+    xml: 'application/xml'
+};
+
+const EXTENSIONS = {
+    html: 'text/html', htm: 'text/html', css: 'text/css', txt: 'text/plain',
+    md: 'text/markdown', csv: 'text/csv', xml: 'application/xml',
+    js: 'text/javascript', mjs: 'text/javascript', json: 'application/json',
+    map: 'application/json', webmanifest: 'application/manifest+json',
+    wasm: 'application/wasm', pdf: 'application/pdf', zip: 'application/zip',
+    gz: 'application/gzip', svg: 'image/svg+xml', png: 'image/png',
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    avif: 'image/avif', ico: 'image/x-icon', woff: 'font/woff', woff2: 'font/woff2',
+    ttf: 'font/ttf', otf: 'font/otf', mp3: 'audio/mpeg', ogg: 'audio/ogg',
+    wav: 'audio/wav', mp4: 'video/mp4', webm: 'video/webm'
+};
+
+const CHARSET_TYPES = /^text\/|^application\/(json|xml|manifest\+json)$|^image\/svg\+xml$/;
+
+module.exports = {
+    SHORT_TYPES,
+    expand: type => SHORT_TYPES[type] || type,
+
+    // Find the content-type of a file name based on its extension.
+    lookup(file){
+        let ext = file.split('.').pop().toLowerCase();
+        let type = EXTENSIONS[ext] || 'application/octet-stream';
+        return CHARSET_TYPES.test(type) ? type + '; charset=utf-8' : type;
+    }
+};
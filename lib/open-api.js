@@ -0,0 +1,109 @@
+const { STATUS_CODES } = require('http');
+
+const PARAM_SCHEMAS = {
+    int: { type: 'integer' },
+    number: { type: 'number' },
+    bool: { type: 'boolean' },
+    date: { type: 'string', format: 'date-time' },
+    uuid: { type: 'string', format: 'uuid' }
+};
+
+// Generate a path for every combination of present/absent optional params.
+function expandOptionals(path){
+    return path.split('/').reduce((variants, seg) => [
+        ...variants.map(v => [ ...v, seg.replace(/^(:.*)\?$/, '$1') ]),
+        ...seg[0] == ':' && seg.slice(-1) == '?' ? variants : []
+    ], [ [] ]).map(segs => segs.join('/') || '/');
+}
+
+function toOpenAPIPath(path, types){
+    return path.split('/').map(seg => {
+        let m = /^:([\w\-.~]+)(?:<(\w+)>)?/.exec(seg);
+        if(!m)
+            return seg;
+        types[m[1]] = PARAM_SCHEMAS[m[2]];
+        return '{' + m[1] + '}';
+    }).join('/');
+}
+
+function describeParameters(location, schema = {}, forced = [], types = {}){
+    let props = schema.properties || {};
+    let names = [ ...new Set([ ...forced, ...Object.keys(props) ]) ];
+
+    // Params of optional segments left out of the path must not be described.
+    if(location == 'path')
+        names = names.filter(name => name in types);
+    let required = schema.required || [];
+
+    return names.map(name => ({
+        name,
+        in: location,
+        required: location == 'path' || required.includes(name),
+        schema: props[name] || types[name] || { type: 'string' }
+    }));
+}
+
+function describeResponses(responses = {}){
+    let out = {};
+
+    for(let status in responses){
+        let { description, schema, type } = responses[status];
+        out[status] = { description: description || STATUS_CODES[status] || '' };
+        if(schema)
+            out[status].content = { [type || 'application/json']: { schema } };
+    }
+
+    if(Object.keys(out).length == 0)
+        out.default = { description: 'Any response' };
+
+    return out;
+}
+
+function describeOperation(route, types){
+    let { opts, params } = route;
+    let schema = opts.schema || {};
+
+    let op = {
+        parameters: [
+            ...describeParameters('path', schema.params, params, types),
+            ...describeParameters('query', schema.query),
+            ...describeParameters('header', schema.headers)
+        ],
+        responses: describeResponses(opts.responses)
+    };
+
+    route.summary && (op.summary = route.summary);
+    route.description && (op.description = route.description);
+
+    if(schema.body)
+        op.requestBody = {
+            content: { [opts.type || 'application/json']: { schema: schema.body } }
+        };
+
+    return op;
+}
+
+module.exports = function describe(api, { name, version }){
+    let paths = {};
+
+    for(let key in api.routes){
+        let route = api.routes[key];
+
+        // Wildcards, raw regexp segments and WebSockets can't be expressed in Open API.
+        if(route.method == 'WS' || route.path.split('/').some(seg => seg[0] == '(' || seg[0] == '*'))
+            continue;
+
+        for(let variant of expandOptionals(route.path)){
+            let types = {};
+            let path = toOpenAPIPath(variant, types);
+            paths[path] = paths[path] || {};
+            paths[path][route.method.toLowerCase()] = describeOperation(route, types);
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title: name, version, ...api.info },
+        paths
+    };
+}
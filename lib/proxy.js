@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { BlockList, isIP } = require('net');
+
+const RANGES = {
+    loopback: [ '127.0.0.1/8', '::1/128' ],
+    linklocal: [ '169.254.0.0/16', 'fe80::/10' ],
+    uniquelocal: [ '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7' ]
+};
+
+// IPv4 clients of dual stack servers show up as IPv4-mapped IPv6 addresses.
+const normalizeIP = ip => typeof ip == 'string' ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : ip;
+
+const splitList = header => header ? String(header).split(',').map(v => v.trim()).filter(Boolean) : [];
+
+function addRange(list, range){
+    let [ address, prefix ] = range.split('/');
+    let family = isIP(address);
+    assert(family && (prefix === undefined || /^\d+$/.test(prefix) && prefix <= (family == 4 ? 32 : 128)),
+        new TypeError('Invalid trusted proxy address \'' + range + '\''));
+
+    let type = family == 4 ? 'ipv4' : 'ipv6';
+    prefix === undefined
+        ? list.addAddress(address, type)
+        : list.addSubnet(address, Number(prefix), type);
+}
+
+// Build a function telling whether the address at the given hop is a trusted proxy.
+function compileTrust(setting){
+
+    if(typeof setting == 'boolean' || setting === undefined || setting === null)
+        return () => Boolean(setting);
+
+    if(typeof setting == 'number'){
+        assert(Number.isInteger(setting) && setting >= 0,
+            new TypeError('Trusted proxy hop count must be a positive integer'));
+        return (addr, i) => i < setting;
+    }
+
+    let list = new BlockList();
+    let ranges = typeof setting == 'string' ? splitList(setting) : [].concat(setting);
+    ranges.forEach(r => (RANGES[r] || [ r ]).forEach(range => addRange(list, range)));
+
+    return addr => {
+        let family = isIP(addr);
+        return family > 0 && list.check(addr, family == 4 ? 'ipv4' : 'ipv6');
+    };
+}
+
+// Read the 'for', 'proto' and 'host' of each hop of an RFC 7239 Forwarded header.
+function parseForwarded(header){
+    return splitList(header).map(element => {
+        let hop = {};
+        for(let pair of element.split(';')){
+            let [ key, ...value ] = pair.split('=');
+            hop[key.trim().toLowerCase()] = value.join('=').trim().replace(/^"(.*)"$/, '$1');
+        }
+
+        // Remove the port and brackets around IPv6 addresses.
+        if(hop.for)
+            hop.for = hop.for.replace(/^\[([^\]]+)\](?::\d+)?$/, '$1').replace(/^([\d.]+):\d+$/, '$1');
+        return hop;
+    });
+}
+
+function readHops(headers){
+    if(headers.forwarded)
+        return parseForwarded(headers.forwarded);
+
+    // Values appended by the closest proxy are the last ones.
+    let [ proto ] = splitList(headers['x-forwarded-proto']).slice(-1);
+    let [ host ] = splitList(headers['x-forwarded-host']).slice(-1);
+    let hops = splitList(headers['x-forwarded-for']).map(ip => ({ for: ip }));
+    hops.length == 0 && (proto || host) && hops.push({});
+    hops.forEach(hop => Object.assign(hop, { proto, host }));
+    return hops;
+}
+
+// Resolve the client address, protocol and host through the trusted proxies.
+function resolveProxy(req, trust){
+    let socket = req.socket || {};
+    let hops = readHops(req.headers);
+    let addrs = [ normalizeIP(socket.remoteAddress), ...hops.map(h => normalizeIP(h.for)).reverse() ];
+
+    // Walk from the socket towards the client while the addresses are trusted.
+    let i = 0;
+    while(i < hops.length && addrs[i] && trust(addrs[i], i))
+        i++;
+
+    let hop = i > 0 ? hops[hops.length - i] : {};
+    let protocol = hop.proto ? hop.proto.toLowerCase() : socket.encrypted ? 'https' : 'http';
+    let host = hop.host || req.headers.host;
+
+    // Proxies might tell the protocol and host without the client address.
+    req.ip = addrs[i] || addrs[i - 1];
+    req.ips = addrs.slice(1, i + 1).filter(Boolean).reverse();
+    req.protocol = protocol;
+    req.secure = protocol == 'https';
+    req.hostname = host ? String(host).replace(/:\d+$/, '') : undefined;
+}
+
+module.exports = { compileTrust, resolveProxy };
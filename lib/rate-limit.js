@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const KEYS = {
+    ip: () => ({ ip, req }) => ip || req.socket && req.socket.remoteAddress,
+    header: name => ({ headers }) => headers[name.toLowerCase()],
+    cookie: name => ({ signedCookies }) => signedCookies[name]
+};
+
+// Keeps the time of each hit within the window for every key.
+class MemoryStore {
+
+    constructor(){
+        this.hits = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    hit(key, { window, max }){
+        let now = Date.now();
+
+        // Forget keys that haven't been hit for a whole window.
+        if(now - this.lastSweep > window){
+            for(let [ k, list ] of this.hits)
+                list[list.length - 1] <= now - window && this.hits.delete(k);
+            this.lastSweep = now;
+        }
+
+        let list = (this.hits.get(key) || []).filter(t => t > now - window);
+        let count = list.length + 1;
+        list.length < max && list.push(now);
+        this.hits.set(key, list);
+
+        return { count, reset: list[0] + window };
+    }
+
+}
+
+function buildKey(key){
+    if(typeof key == 'function')
+        return key;
+
+    let [ type, name ] = String(key).split(':');
+    assert(type in KEYS && (type == 'ip' || name),
+        new TypeError('Invalid rate limit key \'' + key + '\''));
+    return KEYS[type](name);
+}
+
+// Hits are counted under the prefix so limiters can share a store.
+function createLimiter({ window = 60000, max = 60, key = 'ip', store, prefix = '' } = {}){
+    assert(Number.isInteger(window) && window > 0,
+        new TypeError('Rate limit window must be a positive integer'));
+
+    let getKey = buildKey(key);
+    let getIP = KEYS.ip();
+    store = store || new MemoryStore();
+
+    return {
+
+        // Respond 429 and resolve false when the client is over the limit.
+        async check(input){
+            let { res } = input;
+            let limit = typeof max == 'function' ? await max(input) : max;
+            let client = await getKey(input) || getIP(input) || 'unknown';
+
+            let { count, reset } = await store.hit(prefix + client, { window, max: limit });
+            let seconds = Math.max(Math.ceil((reset - Date.now()) / 1000), 0);
+
+            res.set('RateLimit-Policy', limit + ';w=' + Math.ceil(window / 1000));
+            res.set('RateLimit-Limit', limit);
+            res.set('RateLimit-Remaining', Math.max(limit - count, 0));
+            res.set('RateLimit-Reset', seconds);
+
+            if(count <= limit)
+                return true;
+
+            res.set('Retry-After', seconds);
+            res.error(429, 'Too many requests');
+            return false;
+        }
+
+    };
+}
+
+module.exports = { MemoryStore, createLimiter };
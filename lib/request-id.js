@@ -0,0 +1,37 @@
+const { randomUUID } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = [ 'debug', 'info', 'warn', 'error', 'fatal' ];
+const VALID_ID = /^[!-~]{1,128}$/;
+const TRACEPARENT = /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/;
+
+// Keeps the request context across async calls made by the route handlers.
+const storage = new AsyncLocalStorage();
+
+// Read the W3C trace context of a request.
+function parseTraceparent(header){
+    let m = TRACEPARENT.exec(String(header).trim().toLowerCase());
+    if(!m || m[1] == 'ff' || /^0+$/.test(m[2]) || /^0+$/.test(m[3]))
+        return null;
+    return { traceId: m[2], spanId: m[3], flags: m[4] };
+}
+
+function getRequestId(headers){
+    let id = headers['x-request-id'];
+    if(typeof id == 'string' && VALID_ID.test(id))
+        return id;
+
+    let parent = parseTraceparent(headers.traceparent);
+    return parent ? parent.traceId : randomUUID();
+}
+
+// Logger stamping the given fields on every entry.
+function childLogger(log, fields){
+    let child = Object.create(log);
+    LOG_LEVELS.forEach(level => child[level] = (...args) => typeof args[0] == 'object' && args[0]
+        ? log[level]({ ...fields, ...args[0] }, ...args.slice(1))
+        : log[level]({ ...fields }, ...args));
+    return child;
+}
+
+module.exports = { storage, getRequestId, parseTraceparent, childLogger };
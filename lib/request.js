@@ -0,0 +1,89 @@
+const { expand } = require('./mime');
+
+// Parse headers like Accept into a list of values and their q-values.
+function parsePreferences(header){
+    return String(header).split(',').map(item => {
+        let [ value, ...params ] = item.trim().split(';');
+        let q = 1;
+        for(let p of params){
+            let [ key, val ] = p.trim().split('=');
+            if(key == 'q')
+                q = Number(val);
+        }
+        return { value: value.trim().toLowerCase(), q: isNaN(q) ? 0 : q };
+    }).filter(p => p.value);
+}
+
+function matchType(range, type){
+    let [ rType, rSub ] = range.split('/');
+    let [ tType, tSub ] = type.split('/');
+    if(rType == '*')
+        return 1;
+    if(rType != tType)
+        return 0;
+    return rSub == '*' ? 2 : rSub == tSub ? 3 : 0;
+}
+
+function matchLanguage(range, lang){
+    if(range == '*')
+        return 1;
+    return lang == range ? 3 : lang.startsWith(range + '-') ? 2 : 0;
+}
+
+function matchToken(range, token){
+    return range == '*' ? 1 : range == token ? 3 : 0;
+}
+
+// Find the offer best rated by the client. Ties are resolved by offer order.
+function negotiate(prefs, offers, match){
+    let best = { q: 0, offer: false };
+
+    for(let offer of offers){
+        let value = offer.toLowerCase();
+        let rating = prefs.reduce((r, p) => {
+            let specificity = match(p.value, value);
+            return specificity > r.specificity ? { specificity, q: p.q } : r;
+        }, { specificity: 0, q: 0 });
+        if(rating.q > best.q)
+            best = { q: rating.q, offer };
+    }
+
+    return best.offer;
+}
+
+function getHeader(req, name){
+    return (req.headers || {})[name];
+}
+
+module.exports = {
+
+    accepts(...types){
+        types = types.flat();
+        let header = getHeader(this, 'accept');
+        if(!header)
+            return types[0] || false;
+
+        let found = negotiate(parsePreferences(header), types.map(expand), matchType);
+        return found && types[types.map(expand).indexOf(found)];
+    },
+
+    acceptsLanguages(...langs){
+        langs = langs.flat();
+        let header = getHeader(this, 'accept-language');
+        return header ? negotiate(parsePreferences(header), langs, matchLanguage) : langs[0] || false;
+    },
+
+    acceptsEncodings(...encodings){
+        encodings = encodings.flat();
+        let header = getHeader(this, 'accept-encoding');
+        if(!header)
+            return encodings.includes('identity') ? 'identity' : encodings[0] || false;
+
+        // Identity is always acceptable unless explicitly refused.
+        let prefs = parsePreferences(header);
+        if(!prefs.some(p => p.value == 'identity' || p.value == '*'))
+            prefs.push({ value: 'identity', q: 0.001 });
+        return negotiate(prefs, encodings, matchToken);
+    }
+
+};
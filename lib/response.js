@@ -2,21 +2,41 @@ const { sign } = require('cookie-signature');
 const cookie = require('cookie');
 const { format } = require('util');
 const { HTTPError, handleError } = require('./error');
-
-const SHORT_CONTENT_TYPES = {
-    'text': 'text/plain',
-    'json': 'application/json',
-    'binary': 'application/octet-stream'
-};
+const { expand } = require('./mime');
+const { SAFE_METHODS, matchETag } = require('./etag');
+const EventStream = require('./sse');
 
 const ASSERTS = {
     badRequest: 400,
     unauthorized: 401,
     forbidden: 403,
     notFound: 404,
+    notAcceptable: 406,
     conflict: 409,
     gone: 410,
-    badType: 415
+    preconditionFailed: 412,
+    tooLarge: 413,
+    badType: 415,
+    tooManyRequests: 429
+}
+
+function serialize(data){
+    // this => res
+    let route = this.input.route;
+    let status = String(this.statusCode);
+    let responses = route ? route.responses : {};
+    let spec = responses[status] || responses[status[0] + 'XX'] || responses.default;
+
+    if(!spec)
+        return JSON.stringify(data);
+
+    if(process.env.NODE_ENV !== 'production'){
+        let { errors } = spec.validate(data);
+        errors.length > 0 && this.input.log.error({ type: 'route', errors },
+            'Response %s for %s %s does not match its schema', status, route.method, route.path);
+    }
+
+    return spec.serialize(data);
 }
 
 function assert(status, cond, message, ...args){
@@ -25,6 +45,24 @@ function assert(status, cond, message, ...args){
     throw this.error(status, message, ...args);
 }
 
+// Check request preconditions against the given validator (RFC 7232).
+function checkConditions(strongHeader, weakHeader, isStale){
+    // this => res
+    let headers = this.req.headers;
+
+    if(headers[strongHeader])
+        assert.call(this, 412, isStale(headers[strongHeader], true), 'Precondition failed');
+
+    if(headers[weakHeader] && !isStale(headers[weakHeader], false))
+        SAFE_METHODS.includes(this.req.method)
+            ? assert.call(this, 304, true)
+            : assert.call(this, 412, true, 'Precondition failed');
+
+    return this;
+}
+
+const toSeconds = date => Math.floor(new Date(date).getTime() / 1000);
+
 module.exports = {
 
     get(k){
@@ -50,13 +88,13 @@ module.exports = {
     },
 
     type(ct){
-        this.set('Content-Type', SHORT_CONTENT_TYPES[ct] || ct);
+        this.set('Content-Type', expand(ct));
         return this;
     },
 
     json(data){
         this.type('json');
-        this.end(JSON.stringify(data));
+        this.end(serialize.call(this, data));
         return this;
     },
 
@@ -66,6 +104,43 @@ module.exports = {
         return this;
     },
 
+    format(handlers){
+        let type = this.req.accepts(Object.keys(handlers));
+        this.append('Vary', 'Accept');
+
+        if(!type)
+            throw this.error(406, 'Acceptable types: %s',
+                Object.keys(handlers).map(expand).join(', '));
+
+        this.type(type);
+        return handlers[type](this.input);
+    },
+
+    etag(value, { weak } = {}){
+        let etag = /^(W\/)?"/.test(value) ? value : (weak ? 'W/' : '') + '"' + value + '"';
+        this.set('ETag', etag);
+        return checkConditions.call(this, 'if-match', 'if-none-match',
+            (header, strong) => !matchETag(header, etag, strong));
+    },
+
+    lastModified(date){
+        this.set('Last-Modified', new Date(date).toUTCString());
+        let { headers, method } = this.req;
+
+        // Entity tag conditions take precedence over the date based ones.
+        let strong = headers['if-match'] ? null : 'if-unmodified-since';
+        let weak = headers['if-none-match'] || !SAFE_METHODS.includes(method)
+            ? null : 'if-modified-since';
+
+        // Invalid dates must be ignored.
+        return checkConditions.call(this, strong, weak, (header, isStrong) =>
+            isNaN(Date.parse(header)) ? !isStrong : toSeconds(date) > toSeconds(header));
+    },
+
+    sse(opts){
+        return new EventStream(this, opts);
+    },
+
     // Not necessarily an APP error, but a client Error
     error(status, message, ...args){
 
@@ -109,6 +184,10 @@ module.exports = {
         if(opts.signed && !this.cookieSecret)
             throw new Error('Trying to sign cookies when secret is not defined');
 
+        // Only require HTTPS when the client is actually using it.
+        if(opts.secure == 'auto')
+            opts.secure = Boolean(this.input.secure);
+
         value = String(value);
 
         if(opts.signed)
@@ -131,12 +210,6 @@ for(let name in ASSERTS)
         assert.call(this, ASSERTS[name], ...args);
     }
 
-// TODO 406 notAcceptable:
-// TODO 405 methodNotAllowed
-// TODO 408 Request Timeout
 // TODO 411 Length Required
-// TODO 413 Payload Too Large
 // TODO 414 Request-URI Too Long
-// TODO for WS: 426 Upgrade Required
-// TODO 429 Too Many Requests
 // TODO 431 Request Header Fields Too Large
@@ -0,0 +1,162 @@
+const assert = require('assert');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PARAM = /^:([\w\-.~]+)(?:<(\w+)>|\((.+)\))?(\?)?$/;
+
+// Type coercions return undefined when the value is malformed.
+const TYPES = {
+    int: v => /^[-+]?\d+$/.test(v) ? parseInt(v, 10) : undefined,
+    number: v => v.trim() !== '' && !isNaN(v) ? Number(v) : undefined,
+    bool: v => v == 'true' || v == '1' ? true : v == 'false' || v == '0' ? false : undefined,
+    date: v => isNaN(Date.parse(v)) ? undefined : new Date(v),
+    uuid: v => UUID.test(v) ? v.toLowerCase() : undefined
+};
+
+const createNode = () => ({ static: new Map(), params: [], wildcards: [], routes: {} });
+
+const splitPath = path => path.split('/').filter(s => s);
+
+function parseSegment(seg){
+    let m = PARAM.exec(seg);
+
+    if(m){
+        assert(!m[2] || m[2] in TYPES,
+            new TypeError('Unknown type \'' + m[2] + '\' for parameter \'' + m[1] + '\''));
+        return {
+            type: 'param', name: m[1], optional: Boolean(m[4]),
+            key: m[2] ? '<' + m[2] + '>' : m[3] ? '(' + m[3] + ')' : '',
+            regexp: m[3] && new RegExp('^(?:' + m[3] + ')$'),
+            convert: m[2] && TYPES[m[2]]
+        };
+    }
+
+    if(seg[0] == '*')
+        return { type: 'wildcard', name: seg.substr(1) || 'path', key: '*', regexp: /^/, strip: true };
+
+    // Legacy raw regexp segment always captures the remaining path.
+    if(seg[0] == '(')
+        return { type: 'wildcard', name: 'path', key: seg, regexp: new RegExp('^' + seg + '$') };
+
+    return { type: 'static', name: seg };
+}
+
+// Generate every combination of present/absent optional segments.
+function expandOptionals(segs){
+    return segs.reduce((variants, seg) => [
+        ...variants.map(v => [ ...v, seg ]),
+        ...seg.optional ? variants : []
+    ], [ [] ]);
+}
+
+function insert(node, seg){
+
+    if(seg.type == 'static'){
+        node.static.has(seg.name) || node.static.set(seg.name, createNode());
+        return node.static.get(seg.name);
+    }
+
+    let list = seg.type == 'param' ? node.params : node.wildcards;
+    let child = list.find(c => c.key == seg.key);
+
+    if(!child){
+        child = { ...createNode(), key: seg.key, regexp: seg.regexp };
+        list.push(child);
+
+        // Constrained params must be tried before the unconstrained one.
+        node.params.sort((a, b) => Number(!a.key) - Number(!b.key));
+    }
+
+    return child;
+}
+
+function resolve(routes, values, ctx){
+    let route = routes[ctx.method] || ctx.method == 'HEAD' && routes.GET;
+
+    if(!route){
+        Object.keys(routes).forEach(m => ctx.allowed.add(m));
+        return null;
+    }
+
+    let params = {};
+    let invalid = route.segs.find((seg, i) => {
+        let value = seg.strip ? values[i].substr(1) : values[i];
+        params[seg.name] = seg.convert ? seg.convert(value) : value;
+        return typeof params[seg.name] == 'undefined';
+    });
+
+    if(!invalid)
+        return { data: route.data, params };
+
+    // Remember malformed matches in case no other route is found at all.
+    if(route.lenient && !ctx.rejected)
+        ctx.rejected = { data: route.data, params, invalid: invalid.name };
+
+    return null;
+}
+
+function lookup(node, i, values, ctx){
+    let segs = ctx.segs;
+    let found;
+
+    if(i == segs.length)
+        found = resolve(node.routes, values, ctx);
+    else{
+        let child = node.static.get(segs[i]);
+        found = child && lookup(child, i + 1, values, ctx);
+
+        for(let p of node.params)
+            found = found || (!p.regexp || p.regexp.test(segs[i])) &&
+                lookup(p, i + 1, [ ...values, segs[i] ], ctx);
+    }
+
+    let rest = '/' + segs.slice(i).join('/');
+    for(let wc of node.wildcards)
+        found = found || wc.regexp.test(rest) &&
+            resolve(wc.routes, [ ...values, rest ], ctx);
+
+    return found;
+}
+
+module.exports = class Router {
+
+    constructor(){
+        this.root = createNode();
+    }
+
+    add(method, path, data, { lenient } = {}){
+        let route = method + ' ' + path;
+        let segs = splitPath(path).map(parseSegment);
+
+        segs.forEach((seg, i) => assert(seg.type != 'wildcard' || i == segs.length - 1,
+            new Error('Wildcard must be the last segment in \'' + path + '\'')));
+
+        for(let variant of expandOptionals(segs)){
+            let node = variant.reduce(insert, this.root);
+            let dup = node.routes[method];
+            if(dup)
+                throw new Error(dup.path == path
+                    ? 'Route for \'' + route + '\' is already defined'
+                    : 'Route for \'' + route + '\' conflicts with \'' + method + ' ' + dup.path + '\'');
+
+            let dynamic = variant.filter(seg => seg.type != 'static');
+            node.routes[method] = { path, segs: dynamic, data, lenient };
+        }
+
+        return segs.filter(seg => seg.type != 'static').map(seg => seg.name);
+    }
+
+    match(method, path){
+        let ctx = { method, segs: splitPath(path), allowed: new Set() };
+        let found = lookup(this.root, 0, [], ctx) || ctx.rejected;
+
+        if(!found){
+            let allowed = [ ...ctx.allowed ];
+            if(allowed.includes('GET') && !allowed.includes('HEAD'))
+                allowed.push('HEAD');
+            return { allowed };
+        }
+
+        return found;
+    }
+
+}
@@ -0,0 +1,451 @@
+const assert = require('assert');
+const RequestBody = require('./body');
+
+const INPUTS = [ 'params', 'query', 'headers', 'body' ];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FORMATS = {
+    'date-time': v => /^\d{4}-\d{2}-\d{2}T/.test(v) && !isNaN(Date.parse(v)),
+    date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+    email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    uuid: v => UUID.test(v),
+    uri: v => /^[a-z][a-z\d+\-.]*:\S*$/i.test(v)
+};
+
+// Open API formats which only describe the data.
+const DESCRIPTIVE_FORMATS = [ 'int32', 'int64', 'float', 'double', 'byte', 'binary', 'password' ];
+
+const KEYWORDS = [
+    'type', 'enum', 'const', 'format', 'minLength', 'maxLength', 'pattern',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+    'items', 'additionalItems', 'minItems', 'maxItems', 'uniqueItems', 'contains',
+    'properties', 'patternProperties', 'additionalProperties', 'required', 'propertyNames',
+    'minProperties', 'maxProperties', 'dependencies', 'dependentRequired', 'dependentSchemas',
+    'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', '$ref', 'nullable'
+];
+
+// Keywords without any effect on validation.
+const ANNOTATIONS = [
+    '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'example',
+    'readOnly', 'writeOnly', 'deprecated', 'definitions', '$defs', 'contentMediaType',
+    'contentEncoding', 'discriminator', 'externalDocs', 'xml'
+];
+
+// Convert string inputs (query, path, headers) to the type the schema expects.
+const COERCIONS = {
+    integer: v => /^[-+]?\d+$/.test(v) ? Number(v) : v,
+    number: v => v.trim() !== '' && !isNaN(v) ? Number(v) : v,
+    boolean: v => v == 'true' ? true : v == 'false' ? false : v,
+    null: v => v === '' ? null : v
+};
+
+const equal = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const has = (o, key) => Object.prototype.hasOwnProperty.call(o, key);
+
+function matchesType(type, v){
+    if(type == 'integer')
+        return Number.isInteger(v);
+    if(type == 'number')
+        return typeof v == 'number' && isFinite(v);
+    if(type == 'array')
+        return Array.isArray(v);
+    if(type == 'null')
+        return v === null;
+    if(type == 'object')
+        return v !== null && typeof v == 'object' && !Array.isArray(v);
+    return typeof v == type;
+}
+
+function coerce(types, v){
+
+    if(types.includes('array') && !Array.isArray(v) && typeof v != 'undefined')
+        return [ v ];
+
+    if(typeof v != 'string' || types.includes('string'))
+        return v;
+
+    for(let t of types){
+        let c = COERCIONS[t] ? COERCIONS[t](v) : v;
+        if(c !== v)
+            return c;
+    }
+
+    return v;
+}
+
+// Find the schema pointed by a local reference (eg.: '#/definitions/user').
+function resolveRef(root, ref){
+    assert(typeof ref == 'string' && ref[0] == '#',
+        new TypeError('Only local schema references are supported, got \'' + ref + '\''));
+
+    let target = ref.slice(1).split('/').slice(1).reduce((node, token) => {
+        token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node == 'object' && has(node, token) ? node[token] : undefined;
+    }, root);
+
+    assert(target !== undefined, new TypeError('Can\'t resolve schema reference \'' + ref + '\''));
+    return target;
+}
+
+function compileRef(ref, opts){
+    if(!opts.refs.has(ref)){
+        let validate = null;
+
+        // Register before compiling so recursive schemas point to themselves.
+        opts.refs.set(ref, (...args) => validate(...args));
+        validate = compileNode(resolveRef(opts.root, ref), opts);
+    }
+    return opts.refs.get(ref);
+}
+
+function checkKeywords(schema){
+    for(let key in schema)
+        assert(KEYWORDS.includes(key) || ANNOTATIONS.includes(key) || key.slice(0, 2) == 'x-',
+            new TypeError('Unsupported schema keyword \'' + key + '\''));
+
+    assert(!schema.format || schema.format in FORMATS || DESCRIPTIVE_FORMATS.includes(schema.format),
+        new TypeError('Unsupported schema format \'' + schema.format + '\''));
+}
+
+function checkString(schema, value, fail){
+    let length = [ ...value ].length;
+    if(length < schema.minLength)
+        fail('must NOT have fewer than ' + schema.minLength + ' characters');
+    if(length > schema.maxLength)
+        fail('must NOT have more than ' + schema.maxLength + ' characters');
+    if(schema.pattern && !new RegExp(schema.pattern, 'u').test(value))
+        fail('must match pattern "' + schema.pattern + '"');
+    if(FORMATS[schema.format] && !FORMATS[schema.format](value))
+        fail('must match format "' + schema.format + '"');
+}
+
+function checkNumber(schema, value, fail){
+    let { minimum: min, maximum: max, exclusiveMinimum: xmin, exclusiveMaximum: xmax } = schema;
+
+    // Support both Open API 3.0 (boolean) and JSON Schema (number) exclusive limits.
+    if(xmin === true)
+        [ xmin, min ] = [ min, undefined ];
+    if(xmax === true)
+        [ xmax, max ] = [ max, undefined ];
+
+    if(value < min)
+        fail('must be >= ' + min);
+    if(value > max)
+        fail('must be <= ' + max);
+    if(typeof xmin == 'number' && value <= xmin)
+        fail('must be > ' + xmin);
+    if(typeof xmax == 'number' && value >= xmax)
+        fail('must be < ' + xmax);
+    if(schema.multipleOf && value / schema.multipleOf % 1 !== 0)
+        fail('must be multiple of ' + schema.multipleOf);
+}
+
+function compileNode(schema, opts){
+
+    // The 'false' schema matches nothing.
+    if(schema === false)
+        return (value, path, errors) => (errors.push({ path, message: 'must NOT be present' }), value);
+
+    if(!schema || typeof schema != 'object')
+        return v => v;
+
+    checkKeywords(schema);
+
+    const sub = s => compileNode(s, opts);
+
+    let types = schema.type && [].concat(schema.type, schema.nullable ? 'null' : []);
+    let props = Object.create(null);
+    for(let key in schema.properties)
+        props[key] = sub(schema.properties[key]);
+    let patterns = Object.keys(schema.patternProperties || {}).map(p =>
+        ({ regexp: new RegExp(p, 'u'), validate: sub(schema.patternProperties[p]) }));
+    let extra = sub(schema.additionalProperties);
+    let names = schema.propertyNames !== undefined && sub(schema.propertyNames);
+    let tuple = Array.isArray(schema.items) && schema.items.map(sub);
+    let items = tuple ? sub(schema.additionalItems) : sub(schema.items);
+    let contains = schema.contains !== undefined && sub(schema.contains);
+    let [ allOf, anyOf, oneOf ] = [ 'allOf', 'anyOf', 'oneOf' ].map(k => (schema[k] || []).map(sub));
+    let [ not, ifNode, thenNode, elseNode ] = [ 'not', 'if', 'then', 'else' ].map(k =>
+        schema[k] !== undefined && sub(schema[k]));
+    let ref = schema.$ref && compileRef(schema.$ref, opts);
+
+    let dependencies = { ...schema.dependencies, ...schema.dependentRequired, ...schema.dependentSchemas };
+    for(let key in dependencies)
+        if(!Array.isArray(dependencies[key]))
+            dependencies[key] = sub(dependencies[key]);
+
+    const tryMatch = (validate, value, path) => {
+        let errors = [];
+        value = validate(value, path, errors);
+        return { value, ok: errors.length == 0 };
+    };
+
+    return function validate(value, path, errors){
+        let fail = (message, at = path) => errors.push({ path: at, message });
+
+        if(opts.coerce && types)
+            value = coerce(types, value);
+
+        if(ref)
+            value = ref(value, path, errors);
+
+        if(types && !types.some(t => matchesType(t, value))){
+            fail('must be ' + types.join(' or '));
+            return value;
+        }
+
+        if(schema.enum && !schema.enum.some(e => equal(e, value)))
+            fail('must be equal to one of the allowed values');
+        if('const' in schema && !equal(schema.const, value))
+            fail('must be equal to constant');
+
+        if(typeof value == 'string')
+            checkString(schema, value, fail);
+
+        if(typeof value == 'number')
+            checkNumber(schema, value, fail);
+
+        if(Array.isArray(value)){
+            if(value.length < schema.minItems)
+                fail('must NOT have fewer than ' + schema.minItems + ' items');
+            if(value.length > schema.maxItems)
+                fail('must NOT have more than ' + schema.maxItems + ' items');
+            if(schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size < value.length)
+                fail('must NOT have duplicate items');
+            if(contains && !value.some((v, i) => tryMatch(contains, v, path + '/' + i).ok))
+                fail('must contain at least 1 valid item');
+            value = value.map((v, i) => (tuple && i < tuple.length ? tuple[i] : items)(v, path + '/' + i, errors));
+        }
+
+        if(matchesType('object', value)){
+            value = { ...value };
+
+            for(let key in props)
+                if(typeof value[key] == 'undefined' && 'default' in schema.properties[key])
+                    value[key] = JSON.parse(JSON.stringify(schema.properties[key].default));
+
+            for(let key of schema.required || [])
+                typeof value[key] == 'undefined' && fail('is required', path + '/' + key);
+
+            let keys = Object.keys(value).filter(key => typeof value[key] != 'undefined');
+            if(keys.length < schema.minProperties)
+                fail('must NOT have fewer than ' + schema.minProperties + ' properties');
+            if(keys.length > schema.maxProperties)
+                fail('must NOT have more than ' + schema.maxProperties + ' properties');
+
+            for(let key of keys){
+                names && names(key, path + '/' + key, errors);
+
+                let matched = patterns.filter(p => p.regexp.test(key));
+                for(let p of matched)
+                    value[key] = p.validate(value[key], path + '/' + key, errors);
+
+                if(key in props)
+                    value[key] = props[key](value[key], path + '/' + key, errors);
+                else if(matched.length > 0)
+                    continue;
+                else if(schema.additionalProperties === false)
+                    fail('is not allowed', path + '/' + key);
+                else
+                    value[key] = extra(value[key], path + '/' + key, errors);
+            }
+
+            for(let key in dependencies){
+                if(typeof value[key] == 'undefined')
+                    continue;
+                if(!Array.isArray(dependencies[key])){
+                    value = dependencies[key](value, path, errors);
+                    continue;
+                }
+                for(let dep of dependencies[key])
+                    typeof value[dep] == 'undefined' &&
+                        fail('is required when \'' + key + '\' is present', path + '/' + dep);
+            }
+        }
+
+        for(let node of allOf)
+            value = node(value, path, errors);
+
+        if(anyOf.length > 0){
+            let match = anyOf.map(node => tryMatch(node, value, path)).find(r => r.ok);
+            if(match)
+                value = match.value;
+            else
+                fail('must match a schema in anyOf');
+        }
+
+        if(oneOf.length > 0){
+            let matches = oneOf.map(node => tryMatch(node, value, path)).filter(r => r.ok);
+            if(matches.length == 1)
+                value = matches[0].value;
+            else
+                fail('must match exactly one schema in oneOf');
+        }
+
+        if(not && tryMatch(not, value, path).ok)
+            fail('must NOT be valid');
+
+        if(ifNode){
+            let branch = tryMatch(ifNode, value, path).ok ? thenNode : elseNode;
+            if(branch)
+                value = branch(value, path, errors);
+        }
+
+        return value;
+    };
+}
+
+function compile(schema, opts = {}){
+    let validate = compileNode(schema, { ...opts, root: opts.root || schema, refs: new Map() });
+    return value => {
+        let errors = [];
+        value = validate(value, '', errors);
+        return { value, errors };
+    };
+}
+
+const stringify = v => typeof v == 'undefined' ? 'null' : JSON.stringify(v);
+
+const OBJECT_KEYWORDS = [ 'properties', 'patternProperties', 'additionalProperties' ];
+
+// Fields these keywords allow can't be known in advance, so they could leak.
+const UNSERIALIZABLE = [ 'if', 'then', 'else', 'dependentSchemas' ];
+
+function mergeSchemas(base, schemas, root){
+    return schemas.map(sub => sub.$ref ? resolveRef(root, sub.$ref) : sub).reduce((merged, sub) => ({
+        ...merged, ...sub,
+        properties: { ...merged.properties, ...sub.properties },
+        patternProperties: { ...merged.patternProperties, ...sub.patternProperties }
+    }), base);
+}
+
+// Serialize with the first alternative the value is valid against.
+function compileAlternatives(schema, root, refs){
+    let { oneOf, anyOf, ...base } = schema;
+    let alternatives = (oneOf || anyOf).map(alt => {
+        let merged = mergeSchemas(base, [ alt ], root);
+        return {
+            validate: compile(merged, { root }),
+            serialize: compileSerializer(merged, root, refs)
+        };
+    });
+
+    return v => {
+        let match = alternatives.find(alt => alt.validate(v).errors.length == 0) || alternatives[0];
+        return match.serialize(v);
+    };
+}
+
+// Build a function to output JSON containing only the fields declared in the schema.
+function compileSerializer(schema, root = schema, refs = new Map()){
+
+    if(!schema || typeof schema != 'object')
+        return stringify;
+
+    let conditional = UNSERIALIZABLE.find(k => k in schema) ||
+        Object.values(schema.dependencies || {}).some(d => !Array.isArray(d)) && 'dependencies';
+    assert(!conditional, new TypeError('Response schemas can\'t be serialized with \'' + conditional + '\''));
+
+    if(schema.$ref){
+        let ref = schema.$ref;
+        if(!refs.has(ref)){
+            let serialize = null;
+            refs.set(ref, v => serialize(v));
+            serialize = compileSerializer(resolveRef(root, ref), root, refs);
+        }
+        return refs.get(ref);
+    }
+
+    if(schema.allOf){
+        let { allOf, ...base } = schema;
+        schema = mergeSchemas(base, allOf, root);
+    }
+
+    if(schema.oneOf || schema.anyOf)
+        return compileAlternatives(schema, root, refs);
+
+    if(Array.isArray(schema.items)){
+        let tuple = schema.items.map(item => compileSerializer(item, root, refs));
+        let rest = schema.additionalItems && compileSerializer(schema.additionalItems, root, refs);
+        return v => !Array.isArray(v) ? stringify(v) : '[' + v.map((item, i) =>
+            i < tuple.length ? tuple[i](item) : rest && rest(item)).filter(Boolean).join(',') + ']';
+    }
+
+    if(schema.items){
+        let item = compileSerializer(schema.items, root, refs);
+        return v => Array.isArray(v) ? '[' + v.map(item).join(',') + ']' : stringify(v);
+    }
+
+    if(!OBJECT_KEYWORDS.some(k => k in schema))
+        return stringify;
+
+    let declared = schema.properties || {};
+    let props = Object.keys(declared).map(key => ({ key, prefix: JSON.stringify(key) + ':',
+        serialize: compileSerializer(declared[key], root, refs) }));
+    let patterns = Object.keys(schema.patternProperties || {}).map(p => ({ regexp: new RegExp(p, 'u'),
+        serialize: compileSerializer(schema.patternProperties[p], root, refs) }));
+    let extra = schema.additionalProperties === true ||
+        typeof schema.additionalProperties == 'object' && compileSerializer(schema.additionalProperties, root, refs);
+
+    return v => {
+        if(v === null || typeof v != 'object' || Array.isArray(v))
+            return stringify(v);
+
+        if(typeof v.toJSON == 'function')
+            v = v.toJSON();
+
+        let parts = [];
+        for(let { key, prefix, serialize } of props)
+            typeof v[key] != 'undefined' && parts.push(prefix + serialize(v[key]));
+
+        for(let key in v){
+            if(has(declared, key) || typeof v[key] == 'undefined')
+                continue;
+            let pattern = patterns.find(p => p.regexp.test(key));
+            let serialize = pattern ? pattern.serialize : extra === true ? stringify : extra;
+            serialize && parts.push(JSON.stringify(key) + ':' + serialize(v[key]));
+        }
+
+        return '{' + parts.join(',') + '}';
+    };
+}
+
+function compileResponses(responses = {}){
+    let out = {};
+    for(let status in responses)
+        if(responses[status].schema)
+            out[status] = {
+                validate: compile(responses[status].schema),
+                serialize: compileSerializer(responses[status].schema)
+            };
+    return out;
+}
+
+function buildValidator(schemas){
+    let validators = {};
+    for(let key of INPUTS)
+        if(schemas[key])
+            validators[key] = compile(schemas[key], { coerce: key != 'body' });
+
+    return function validateInput(input){
+        let violations = [];
+
+        for(let key in validators){
+
+            // Streamed formats (eg.: NDJSON) are never parsed so they can't be validated.
+            if(key == 'body' && input.body instanceof RequestBody)
+                return input.res.error(415, 'Request body of type %s can\'t be validated', input.body.type);
+
+            let { value, errors } = validators[key](input[key]);
+            input[key] = value;
+            violations.push(...errors.map(e => ({ in: key, ...e })));
+        }
+
+        if(violations.length > 0)
+            return input.res.error(400, violations);
+
+        input.next();
+    };
+}
+
+module.exports = { compile, compileSerializer, compileResponses, buildValidator };
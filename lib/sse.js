@@ -0,0 +1,73 @@
+const assert = require('assert');
+
+const LINE_BREAK = /\r\n|\r|\n/;
+
+function write(text){
+    // this => EventStream
+    return this.open && this.res.write(text);
+}
+
+function close(){
+    // this => EventStream
+    if(!this.open)
+        return;
+
+    this.open = false;
+    clearInterval(this.heartbeat);
+    this.res.streams && this.res.streams.delete(this);
+    this.res.finished || this.res.end();
+    this.ended();
+}
+
+module.exports = class EventStream {
+
+    constructor(res, { heartbeat = 15000, retry } = {}){
+        this.res = res;
+        this.open = true;
+        this.lastEventId = res.req.headers['last-event-id'];
+        this.closed = new Promise(done => this.ended = done);
+        res.cancelTimeout && res.cancelTimeout();
+
+        res.status(200).type('text/event-stream');
+        res.set('Cache-Control', 'no-cache');
+
+        // The connection is not reused once the stream is over.
+        res.set('Connection', 'close');
+
+        // Prevent reverse proxies and the compression from holding events.
+        res.set('X-Accel-Buffering', 'no');
+        res.noCompression = true;
+
+        res.on('close', () => close.call(this));
+        res.streams && res.streams.add(this);
+
+        if(heartbeat)
+            this.heartbeat = setInterval(() => this.comment(''), heartbeat);
+
+        write.call(this, retry ? 'retry: ' + retry + '\n\n' : ':\n\n');
+    }
+
+    send(data, { event, id } = {}){
+        // A line break would let the value inject fields of its own.
+        assert(!LINE_BREAK.test(event || ''), new TypeError('Event name must not contain line breaks'));
+        assert(!LINE_BREAK.test(id || ''), new TypeError('Event id must not contain line breaks'));
+
+        let text = typeof data == 'string' ? data : JSON.stringify(data);
+        let lines = [
+            ...event ? [ 'event: ' + event ] : [],
+            ...typeof id != 'undefined' ? [ 'id: ' + id ] : [],
+            ...text.split(LINE_BREAK).map(line => 'data: ' + line)
+        ];
+        return write.call(this, lines.join('\n') + '\n\n');
+    }
+
+    comment(text){
+        return write.call(this, String(text).split(LINE_BREAK).map(line => ':' + line).join('\n') + '\n\n');
+    }
+
+    close(){
+        close.call(this);
+        return this.closed;
+    }
+
+}
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const Path = require('path');
+const assert = require('assert');
+const { pipeline } = require('stream');
+
+const { lookup } = require('./mime');
+
+const DOTFILES = [ 'allow', 'deny', 'ignore' ];
+
+// Encoded slashes are split too so they can't be used to escape the root.
+function decodeSegments(path){
+    try{
+        return path.split('/').map(decodeURIComponent).join('/').split(/[\\/]/).filter(s => s);
+    }
+    catch(err){
+        return null;
+    }
+}
+
+async function findFile(file){
+    // this => settings
+
+    let stats = await fs.promises.stat(file).catch(err => {
+        if(err.code == 'ENOENT' || err.code == 'ENOTDIR')
+            return null;
+        throw err;
+    });
+
+    if(stats && stats.isDirectory() && this.index)
+        return findFile.call(this, Path.join(file, this.index));
+
+    return stats && stats.isFile() ? { file, stats } : null;
+}
+
+// Parse a single byte range. Returns undefined for ranges that must be ignored.
+function parseRange(header, size){
+    let m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if(!m || !m[1] && !m[2])
+        return undefined;
+
+    let start = m[1] ? Number(m[1]) : Math.max(size - Number(m[2]), 0);
+    let end = m[1] && m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+    return start <= end ? { start, end } : null;
+}
+
+function sendFile({ req, res }, { file, stats }){
+    // this => settings
+
+    let etag = 'W/"' + stats.size.toString(16) + '-' + stats.mtime.getTime().toString(16) + '"';
+    let options = {};
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Cache-Control', 'public, max-age=' + this.maxAge);
+    this.lastModified && res.lastModified(stats.mtime);
+    this.etag && res.etag(etag);
+
+    let range = req.headers.range && parseRange(req.headers.range, stats.size);
+    // Weak ETags never satisfy If-Range, so only the modification date can.
+    let ifRange = req.headers['if-range'];
+    if(ifRange && ifRange != stats.mtime.toUTCString())
+        range = undefined;
+
+    if(range === null){
+        res.set('Content-Range', 'bytes */' + stats.size);
+        return res.status(416).end();
+    }
+
+    res.type(lookup(file));
+    res.set('Content-Length', stats.size);
+
+    if(range){
+        options = range;
+        res.noCompression = true;
+        res.status(206).set('Content-Range', 'bytes ' + range.start + '-' + range.end + '/' + stats.size);
+        res.set('Content-Length', range.end - range.start + 1);
+    }
+
+    if(req.method == 'HEAD')
+        return res.end();
+
+    // The file stream is destroyed when the client goes away before the end.
+    return new Promise((resolve, reject) => pipeline(fs.createReadStream(file, options), res, err =>
+        err && err.code != 'ERR_STREAM_PREMATURE_CLOSE' ? reject(err) : resolve()));
+}
+
+module.exports = function buildStatic(dir, opts = {}){
+    assert(typeof dir == 'string', new TypeError('Static directory must be a string'));
+
+    let settings = {
+        root: Path.resolve(dir),
+        index: 'index' in opts ? opts.index : 'index.html',
+        fallback: opts.fallback === true ? 'index.html' : opts.fallback,
+        dotfiles: opts.dotfiles || 'ignore',
+        maxAge: opts.maxAge || 0,
+        etag: opts.etag !== false,
+        lastModified: opts.lastModified !== false
+    };
+
+    assert(DOTFILES.includes(settings.dotfiles),
+        new TypeError('Invalid dotfiles option \'' + settings.dotfiles + '\''));
+
+    return async function serveStatic(input){
+        let { res, params } = input;
+        let segs = decodeSegments(params.path);
+
+        res.badRequest(!segs || segs.some(s => s.includes('\0')), 'Invalid path');
+
+        let file = Path.join(settings.root, ...segs);
+        res.forbidden(segs.includes('..') ||
+            file != settings.root && !file.startsWith(settings.root + Path.sep), 'Forbidden');
+
+        let dotted = segs.some(s => s[0] == '.');
+        res.forbidden(dotted && settings.dotfiles == 'deny', 'Forbidden');
+
+        let found = !dotted || settings.dotfiles == 'allow'
+            ? await findFile.call(settings, file) : null;
+
+        // Let client-side routing handle the paths not found in the file system.
+        if(!found && settings.fallback)
+            found = await findFile.call(settings, Path.join(settings.root, settings.fallback));
+
+        res.notFound(!found);
+        await sendFile.call(settings, input, found);
+    };
+};
@@ -0,0 +1,240 @@
+const http = require('http');
+const https = require('https');
+const { randomBytes } = require('crypto');
+const { performance } = require('perf_hooks');
+
+const { parseTraceparent } = require('./request-id');
+
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2 };
+const STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const now = () => performance.timeOrigin + performance.now();
+const randomId = bytes => randomBytes(bytes).toString('hex');
+
+// Millisecond timestamps don't fit a JS number once converted to nanoseconds.
+function toNanos(ms){
+    let whole = Math.floor(ms);
+    return String(whole) + String(Math.round((ms - whole) * 1e6)).padStart(6, '0');
+}
+
+function toAttributes(attributes){
+    let out = [];
+    for(let key in attributes){
+        let v = attributes[key];
+        if(v === undefined || v === null)
+            continue;
+        let value = typeof v == 'boolean' ? { boolValue: v }
+            : Number.isInteger(v) ? { intValue: v }
+                : typeof v == 'number' ? { doubleValue: v } : { stringValue: String(v) };
+        out.push({ key, value });
+    }
+    return out;
+}
+
+class Span {
+
+    constructor(tracer, name, { parent, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}){
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = parent && parent.spanId;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = { code: STATUS.UNSET };
+        this.startTime = now();
+        this.ended = false;
+    }
+
+    setAttribute(key, value){
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setStatus(code, message){
+        this.status = { code, message };
+        return this;
+    }
+
+    recordError(err){
+        this.events.push({ name: 'exception', time: now(), attributes: {
+            'exception.type': err && err.constructor ? err.constructor.name : typeof err,
+            'exception.message': err && err.message || String(err),
+            'exception.stacktrace': err && err.stack
+        } });
+        return this.setStatus(STATUS.ERROR, err && err.message || String(err));
+    }
+
+    startChild(name, attributes){
+        return this.tracer.startSpan(name, { parent: this, attributes });
+    }
+
+    end(){
+        if(this.ended)
+            return;
+        this.ended = true;
+        this.endTime = now();
+        this.tracer.collect(this);
+    }
+
+}
+
+class Tracer {
+
+    constructor(exporter, { interval = 5000, batchSize = 512, onError } = {}){
+        this.exporter = exporter;
+        this.batchSize = batchSize;
+        this.onError = onError || (() => {});
+        this.queue = [];
+        this.timer = setInterval(() => this.flush(), interval);
+        this.timer.unref();
+    }
+
+    startSpan(name, opts){
+        return new Span(this, name, opts);
+    }
+
+    collect(span){
+        this.queue.push(span);
+        this.queue.length >= this.batchSize && this.flush();
+    }
+
+    async flush(){
+        let spans = this.queue.splice(0);
+        if(spans.length == 0)
+            return;
+
+        try{
+            await this.exporter.export(spans);
+        }
+        catch(err){
+            this.onError(err);
+        }
+    }
+
+    async shutdown(){
+        clearInterval(this.timer);
+        await this.flush();
+        this.exporter.shutdown && await this.exporter.shutdown();
+    }
+
+}
+
+// Keep exported spans around to be inspected.
+class InMemoryExporter {
+
+    constructor(){
+        this.spans = [];
+    }
+
+    export(spans){
+        this.spans.push(...spans);
+    }
+
+    reset(){
+        this.spans = [];
+    }
+
+}
+
+// Send spans to an OpenTelemetry collector through OTLP/HTTP with JSON encoding.
+class OTLPExporter {
+
+    constructor({ endpoint = 'http://localhost:4318/v1/traces', headers = {}, serviceName = 'nodecaf',
+        timeout = 10000 } = {}){
+        this.url = new URL(endpoint);
+        this.headers = headers;
+        this.resource = { attributes: toAttributes({ 'service.name': serviceName }) };
+        this.timeout = timeout;
+    }
+
+    format(spans){
+        return {
+            resourceSpans: [ {
+                resource: this.resource,
+                scopeSpans: [ {
+                    scope: { name: 'nodecaf' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId,
+                        name: span.name,
+                        kind: span.kind,
+                        startTimeUnixNano: toNanos(span.startTime),
+                        endTimeUnixNano: toNanos(span.endTime),
+                        attributes: toAttributes(span.attributes),
+                        events: span.events.map(e => ({
+                            name: e.name,
+                            timeUnixNano: toNanos(e.time),
+                            attributes: toAttributes(e.attributes)
+                        })),
+                        status: span.status
+                    }))
+                } ]
+            } ]
+        };
+    }
+
+    export(spans){
+        let body = JSON.stringify(this.format(spans));
+        let client = this.url.protocol == 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            let req = client.request(this.url, {
+                method: 'POST',
+                timeout: this.timeout,
+                headers: { ...this.headers, 'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body) }
+            }, res => {
+                res.resume();
+                res.on('end', () => res.statusCode < 300 ? resolve()
+                    : reject(new Error('Collector responded with status ' + res.statusCode)));
+            });
+            req.on('timeout', () => req.destroy(new Error('Collector timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+}
+
+function createTracer(conf, exporter){
+    // this => app
+    let opts = conf === true ? {} : conf;
+    exporter = exporter || (opts.exporter == 'memory' ? new InMemoryExporter()
+        : new OTLPExporter({ serviceName: this._name, ...opts }));
+
+    return new Tracer(exporter, { ...opts, onError: err =>
+        this.log.warn({ type: 'tracing', err }, 'Failed to export spans') });
+}
+
+function traceRequest(input, route){
+    // this => Tracer
+    let { req, res, headers } = input;
+
+    let span = this.startSpan(route ? req.method + ' ' + route.path : req.method, {
+        kind: SPAN_KIND.SERVER,
+        parent: parseTraceparent(headers.traceparent),
+        attributes: {
+            'http.request.method': req.method,
+            'http.route': route && route.path,
+            'url.path': req.path,
+            'nodecaf.request_id': input.requestId
+        }
+    });
+
+    let end = () => {
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if(res.statusCode >= 500)
+            res.err ? span.recordError(res.err) : span.setStatus(STATUS.ERROR);
+        span.end();
+    };
+
+    res.once('finish', end);
+    res.once('close', end);
+    return span;
+}
+
+module.exports = { SPAN_KIND, STATUS, Span, Tracer, InMemoryExporter, OTLPExporter,
+    createTracer, traceRequest };
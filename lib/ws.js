@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const { parseSize } = require('./body');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CLOSE_TIMEOUT = 1000;
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+const STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+function encodeFrame(opcode, payload){
+    let len = payload.length;
+    let header = Buffer.alloc(len < 126 ? 2 : len < 65536 ? 4 : 10);
+
+    header[0] = 0x80 | opcode;
+    if(len < 126)
+        header[1] = len;
+    else if(len < 65536){
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    }
+    else{
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(len / 2 ** 32), 2);
+        header.writeUInt32BE(len % 2 ** 32, 6);
+    }
+
+    return Buffer.concat([ header, payload ]);
+}
+
+function encodeClose(code, reason){
+    let payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    return Buffer.concat([ payload, Buffer.from(String(reason)) ]);
+}
+
+function fail(code, reason){
+    // this => WebSocket
+    this.close(code, reason);
+    this.socket.end();
+}
+
+function handleMessageFrame(fin, opcode, payload){
+    // this => WebSocket
+
+    if(opcode != OPCODES.continuation && this.fragments)
+        return fail.call(this, 1002, 'Expected continuation frame');
+    if(opcode == OPCODES.continuation && !this.fragments)
+        return fail.call(this, 1002, 'Unexpected continuation frame');
+
+    if(!this.fragments)
+        this.fragments = { binary: opcode == OPCODES.binary, chunks: [], size: 0 };
+
+    this.fragments.chunks.push(payload);
+    this.fragments.size += payload.length;
+    if(this.fragments.size > this.maxPayload)
+        return fail.call(this, 1009, 'Message is too large');
+
+    if(!fin)
+        return;
+
+    let { binary, chunks } = this.fragments;
+    let data = Buffer.concat(chunks);
+    this.fragments = null;
+    this.emit('message', binary ? data : data.toString('utf8'), binary);
+}
+
+function handleFrame(fin, opcode, payload){
+    // this => WebSocket
+
+    if(opcode < OPCODES.close)
+        return handleMessageFrame.call(this, fin, opcode, payload);
+
+    if(!fin || payload.length > 125)
+        return fail.call(this, 1002, 'Invalid control frame');
+
+    if(opcode == OPCODES.ping)
+        return this.socket.write(encodeFrame(OPCODES.pong, payload));
+
+    if(opcode == OPCODES.pong)
+        return this.emit('pong', payload);
+
+    if(opcode != OPCODES.close)
+        return fail.call(this, 1002, 'Unknown opcode');
+
+    // Echo the close frame and let the socket be closed.
+    this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+    this.closeReason = payload.slice(2).toString();
+    if(this.readyState == STATES.OPEN)
+        this.socket.write(encodeFrame(OPCODES.close, payload.slice(0, 2)));
+    this.readyState = STATES.CLOSING;
+    this.socket.end();
+}
+
+function parseFrames(){
+    // this => WebSocket
+
+    while(this.buffer.length >= 2 && this.readyState != STATES.CLOSED){
+        let buf = this.buffer;
+        let len = buf[1] & 0x7f;
+        let offset = len == 126 ? 4 : len == 127 ? 10 : 2;
+
+        if(buf.length < offset)
+            return;
+        if(buf[0] & 0x70)
+            return fail.call(this, 1002, 'Unsupported extension');
+        if(!(buf[1] & 0x80))
+            return fail.call(this, 1002, 'Client frames must be masked');
+
+        len = len == 126 ? buf.readUInt16BE(2)
+            : len == 127 ? buf.readUInt32BE(2) * 2 ** 32 + buf.readUInt32BE(6) : len;
+
+        if(len > this.maxPayload)
+            return fail.call(this, 1009, 'Message is too large');
+        if(buf.length < offset + 4 + len)
+            return;
+
+        let mask = buf.slice(offset, offset + 4);
+        let payload = Buffer.from(buf.slice(offset + 4, offset + 4 + len));
+        for(let i = 0; i < payload.length; i++)
+            payload[i] ^= mask[i % 4];
+
+        this.buffer = buf.slice(offset + 4 + len);
+        handleFrame.call(this, Boolean(buf[0] & 0x80), buf[0] & 0x0f, payload);
+    }
+}
+
+class WebSocket extends EventEmitter {
+
+    constructor(socket, head, { maxPayload } = {}){
+        super();
+        this.socket = socket;
+        this.maxPayload = maxPayload;
+        this.buffer = head || Buffer.alloc(0);
+        this.fragments = null;
+        this.readyState = STATES.OPEN;
+        this.closed = new Promise(done => this.once('close', done));
+
+        socket.setNoDelay(true);
+        socket.setTimeout(0);
+
+        socket.on('data', chunk => {
+            this.buffer = Buffer.concat([ this.buffer, chunk ]);
+            parseFrames.call(this);
+        });
+
+        socket.on('end', () => socket.end());
+        socket.on('error', err => this.listenerCount('error') > 0 && this.emit('error', err));
+
+        socket.on('close', () => {
+            clearTimeout(this.closeTimer);
+            this.readyState = STATES.CLOSED;
+            this.emit('close', this.closeCode || 1006, this.closeReason || '');
+        });
+
+        // Handle frames sent along with the handshake.
+        process.nextTick(() => parseFrames.call(this));
+    }
+
+    send(data){
+        if(this.readyState != STATES.OPEN)
+            return false;
+
+        let binary = ArrayBuffer.isView(data) || data instanceof ArrayBuffer;
+        let payload = !binary ? Buffer.from(typeof data == 'string' ? data : JSON.stringify(data))
+            : ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+                : Buffer.from(data);
+
+        return this.socket.write(encodeFrame(binary ? OPCODES.binary : OPCODES.text, payload));
+    }
+
+    ping(data = ''){
+        return this.readyState == STATES.OPEN &&
+            this.socket.write(encodeFrame(OPCODES.ping, Buffer.from(data)));
+    }
+
+    close(code = 1000, reason = ''){
+        if(this.readyState != STATES.OPEN)
+            return this.closed;
+
+        this.readyState = STATES.CLOSING;
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.socket.write(encodeFrame(OPCODES.close, encodeClose(code, reason)));
+
+        // Don't wait forever for the client to acknowledge.
+        this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+        this.closeTimer.unref();
+        return this.closed;
+    }
+
+}
+
+Object.assign(WebSocket, STATES);
+
+// Route handler performing the opening handshake before the WebSocket handlers.
+function acceptUpgrade(input){
+    let { req, res, route } = input;
+
+    if(!res.socket)
+        return res.set('Upgrade', 'websocket').error(426);
+
+    let key = req.headers['sec-websocket-key'];
+    if(!key || Buffer.from(key, 'base64').length != 16)
+        return res.error(400, 'Invalid WebSocket handshake');
+
+    if(req.headers['sec-websocket-version'] != '13')
+        return res.set('Sec-WebSocket-Version', '13').set('Upgrade', 'websocket').error(426);
+
+    let accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    let headers = { ...res.headers, upgrade: 'websocket', connection: 'Upgrade',
+        'sec-websocket-accept': accept };
+
+    let lines = [ 'HTTP/1.1 101 Switching Protocols' ];
+    for(let name in headers)
+        [].concat(headers[name]).forEach(v => lines.push(name + ': ' + v));
+    res.socket.write(lines.join('\r\n') + '\r\n\r\n');
+    res.upgraded = res.finished = true;
+    res.cancelTimeout && res.cancelTimeout();
+
+    // The handshake is the whole response as far as logs and metrics are concerned.
+    res.statusCode = 101;
+    res.emit('finish');
+
+    let opts = route.opts;
+    let ws = input.socket = new WebSocket(res.socket, res.head,
+        { maxPayload: parseSize('maxPayload' in opts ? opts.maxPayload : '1mb') });
+
+    if(res.streams){
+        res.streams.add(ws);
+        ws.on('close', () => res.streams.delete(ws));
+    }
+
+    input.next();
+}
+
+module.exports = { WebSocket, acceptUpgrade };
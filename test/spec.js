@@ -165,6 +165,56 @@ describe('Nodecaf', () => {
             assert.doesNotReject( app.stop() );
         });
 
+        it('Should let active requests finish with connection close', async () => {
+            const http = require('http');
+            let stopped;
+            let app = new Nodecaf({
+                conf: { port: 80 },
+                api({ get }){
+                    get('/slow', async ({ res, stopSignal }) => {
+                        stopped = app.stop();
+                        await new Promise(done => setTimeout(done, 50));
+                        res.end(String(stopSignal.aborted));
+                    });
+                }
+            });
+            await app.start();
+            let agent = new http.Agent({ keepAlive: true });
+            let res = await new Promise(resolve => http.get(LOCAL_HOST + '/slow', { agent }, resolve));
+            assert.strictEqual(res.headers.connection, 'close');
+            let body = '';
+            for await(let chunk of res)
+                body += chunk;
+            assert.strictEqual(body, 'true');
+            await stopped;
+            assert.strictEqual(app.state, 'standby');
+            agent.destroy();
+        });
+
+        it('Should destroy connections after shutdown timeout [conf.shutdownTimeout]', async () => {
+            const http = require('http');
+            let app = new Nodecaf({
+                conf: { port: 80, shutdownTimeout: 50 },
+                api({ get }){
+                    get('/hang', () => app.stop());
+                }
+            });
+            await app.start();
+            await assert.rejects(new Promise((resolve, reject) =>
+                http.get(LOCAL_HOST + '/hang', resolve).on('error', reject)), /socket hang up/);
+            assert.strictEqual(app.state, 'standby');
+        });
+
+        it('Should stop when receiving termination signals [opts.handleSignals]', async () => {
+            let done;
+            let shutdown = new Promise(resolve => done = resolve);
+            let app = new Nodecaf({ handleSignals: true, shutdown: () => done() });
+            await app.start();
+            process.emit('SIGTERM', 'SIGTERM');
+            await shutdown;
+            assert.strictEqual(process.listenerCount('SIGTERM'), 0);
+        });
+
     });
 
     describe('#restart', () => {
@@ -335,6 +385,107 @@ describe('Nodecaf', () => {
 
     });
 
+    describe('#group', () => {
+
+        it('Should prefix routes and prepend group middleware', async () => {
+            let calls = [];
+            let app = new Nodecaf({
+                api({ get, group, pre, pos }){
+                    pre(({ next }) => { calls.push('pre'); next() });
+                    pos(({ next }) => { calls.push('pos'); next() });
+                    group('/v1', function({ get, group, pre, pos }){
+                        pre(({ next }) => { calls.push('v1 pre'); next() });
+                        pos(({ next }) => { calls.push('v1 pos'); next() });
+                        get('/foo', ({ next }) => { calls.push('foo'); next() });
+                        group('/admin', function({ get }){
+                            get('/:id', ({ params, res, next }) => {
+                                calls.push('admin ' + params.id);
+                                res.end();
+                                next();
+                            });
+                        }, ({ next }) => { calls.push('auth'); next() });
+                    });
+                    get('/foo', ({ res }) => res.end());
+                }
+            });
+            await app.start();
+            let { status } = await app.trigger('get', '/v1/admin/12');
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(calls, [ 'pre', 'v1 pre', 'auth', 'admin 12', 'v1 pos', 'pos' ]);
+            calls = [];
+            await app.trigger('get', '/foo');
+            assert.deepStrictEqual(calls, [ 'pre' ]);
+            await app.stop();
+        });
+
+        it('Should mount external API specs under a prefix', async () => {
+            let users = function({ get }){
+                get('/', ({ res }) => res.text('list'));
+                get('/:id', ({ res, params }) => res.text(params.id));
+            };
+            let app = new Nodecaf({
+                api({ mount }){
+                    mount('/v1/users', users);
+                    mount('/v2/users', users);
+                }
+            });
+            await app.start();
+            assert.strictEqual((await app.trigger('get', '/v1/users')).body, 'list');
+            assert.strictEqual((await app.trigger('get', '/v2/users/3')).body, '3');
+            await app.stop();
+        });
+
+    });
+
+    describe('#describe', () => {
+
+        it('Should output an Open API document describing the routes', () => {
+            let app = new Nodecaf({
+                name: 'my-app',
+                version: '1.2.3',
+                api({ get, post, info, all }){
+                    info({ description: 'My API' });
+                    get('/foo/:id', Function.prototype).desc('Get a foo\nReturns the foo.');
+                    post('/foo', {
+                        schema: { body: { type: 'object' }, query: { properties: { q: { type: 'integer' } } } },
+                        responses: { 201: { schema: { type: 'string' } } }
+                    }, Function.prototype);
+                    all(Function.prototype);
+                }
+            });
+            let doc = app.describe();
+            assert.strictEqual(doc.openapi, '3.0.3');
+            assert.strictEqual(doc.info.title, 'my-app');
+            assert.strictEqual(doc.info.description, 'My API');
+            assert.deepStrictEqual(Object.keys(doc.paths), [ '/foo/{id}', '/foo' ]);
+            let op = doc.paths['/foo/{id}'].get;
+            assert.strictEqual(op.summary, 'Get a foo');
+            assert.strictEqual(op.description, 'Returns the foo.');
+            assert.strictEqual(op.parameters[0].name, 'id');
+            assert.strictEqual(op.parameters[0].in, 'path');
+            assert(op.responses.default);
+            op = doc.paths['/foo'].post;
+            assert.strictEqual(op.parameters[0].in, 'query');
+            assert.strictEqual(op.requestBody.content['application/json'].schema.type, 'object');
+            assert.strictEqual(op.responses[201].description, 'Created');
+        });
+
+        it('Should describe optional param variants and skip wildcards', () => {
+            let app = new Nodecaf({
+                api({ get }){
+                    get('/pages/:page<int>?', Function.prototype);
+                    get('/files/*rest', Function.prototype);
+                }
+            });
+            let { paths } = app.describe();
+            assert.deepStrictEqual(Object.keys(paths), [ '/pages/{page}', '/pages' ]);
+            assert.deepStrictEqual(paths['/pages/{page}'].get.parameters, [
+                { name: 'page', in: 'path', required: true, schema: { type: 'integer' } } ]);
+            assert.deepStrictEqual(paths['/pages'].get.parameters, []);
+        });
+
+    });
+
 });
 
 describe('Handlers', () => {
@@ -458,6 +609,40 @@ describe('Handlers', () => {
         await app.stop();
     });
 
+    it('Should output a 405 when path exists under another method', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get, put }){
+                get('/foo/:id', ({ res }) => res.end());
+                put('/foo/:id', ({ res }) => res.end());
+                put('/bar', ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let { assert: { status, headers } } = await base.post('foo/bar');
+        status.is(405);
+        headers.match('allow', 'GET, PUT, HEAD');
+        let res = await app.trigger('get', '/bar');
+        assert.strictEqual(res.status, 405);
+        assert.strictEqual(res.headers.Allow, 'PUT');
+        (await base.post('baz')).assert.status.is(404);
+        await app.stop();
+    });
+
+    it('Should fallback HEAD requests to GET routes', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/foo', ({ res }) => res.text('foo'));
+            }
+        });
+        await app.start();
+        let res = await app.trigger('head', '/foo');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers['Content-Type'], 'text/plain');
+        assert(!res.body);
+        await app.stop();
+    });
+
     it('Should parse object as json response [res.json()]', async () => {
         let app = new Nodecaf({
             conf: { port: 80 },
@@ -605,6 +790,116 @@ describe('Handlers', () => {
 
 });
 
+describe('Routing', () => {
+
+    const Router = require('../lib/router');
+
+    it('Should only match the whole path', () => {
+        let router = new Router();
+        router.add('GET', '/users/:id', 'user');
+        assert.strictEqual(router.match('GET', '/users/1').data, 'user');
+        assert(!router.match('GET', '/foo/users/1').data);
+        assert(!router.match('GET', '/users/1/extra').data);
+    });
+
+    it('Should prioritize static over param over wildcard segments', () => {
+        let router = new Router();
+        router.add('GET', '/(.*)', 'any');
+        router.add('GET', '/users/:id', 'user');
+        router.add('GET', '/users/me', 'me');
+        assert.strictEqual(router.match('GET', '/users/me').data, 'me');
+        let { data, params } = router.match('GET', '/users/12');
+        assert.strictEqual(data, 'user');
+        assert.strictEqual(params.id, '12');
+        let any = router.match('GET', '/users/12/photos');
+        assert.strictEqual(any.data, 'any');
+        assert.strictEqual(any.params.path, '/users/12/photos');
+    });
+
+    it('Should fallback to lower priority branches when deeper segments fail', () => {
+        let router = new Router();
+        router.add('GET', '/users/me/avatar', 'avatar');
+        router.add('GET', '/users/:id/posts', 'posts');
+        let { data, params } = router.match('GET', '/users/me/posts');
+        assert.strictEqual(data, 'posts');
+        assert.strictEqual(params.id, 'me');
+    });
+
+    it('Should reject ambiguous routes', () => {
+        let router = new Router();
+        router.add('GET', '/users/:id', 'user');
+        router.add('PUT', '/users/:name', 'user');
+        assert.throws(() => router.add('GET', '/users/:name', 'user'), /conflicts/);
+        assert.throws(() => router.add('GET', '/users/:id', 'user'), /already/);
+    });
+
+    it('Should match constrained, optional and wildcard params', () => {
+        let router = new Router();
+        router.add('GET', '/posts/:id(\\d+)', 'post');
+        router.add('GET', '/posts/:slug', 'slug');
+        router.add('GET', '/pages/:page?', 'page');
+        router.add('GET', '/files/*rest', 'file');
+        assert.strictEqual(router.match('GET', '/posts/12').data, 'post');
+        assert.strictEqual(router.match('GET', '/posts/my-post').data, 'slug');
+        assert.strictEqual(router.match('GET', '/pages').data, 'page');
+        assert.strictEqual(router.match('GET', '/pages/2').params.page, '2');
+        assert.strictEqual(router.match('GET', '/files/a/b.txt').params.rest, 'a/b.txt');
+        assert.strictEqual(router.match('GET', '/files').params.rest, '');
+    });
+
+    it('Should convert typed params', () => {
+        let router = new Router();
+        router.add('GET', '/users/:id<int>/:active<bool>', 'user');
+        router.add('GET', '/logs/:when<date>', 'log', { lenient: true });
+        let { params } = router.match('GET', '/users/12/true');
+        assert.strictEqual(params.id, 12);
+        assert.strictEqual(params.active, true);
+        assert(!router.match('GET', '/users/abc/true').data);
+        assert(router.match('GET', '/logs/2021-01-01').params.when instanceof Date);
+        assert.strictEqual(router.match('GET', '/logs/foo').invalid, 'when');
+        assert.throws(() => router.add('GET', '/:id<foo>', 'bad'), /Unknown type/);
+    });
+
+    it('Should respond malformed params according to route setting', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/foo/:id<int>', ({ res, params }) => res.json(params));
+                get('/bar/:id<int>', { paramError: 400 }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        assert.strictEqual((await app.trigger('get', '/foo/12')).body, '{"id":12}');
+        assert.strictEqual((await app.trigger('get', '/foo/bar')).status, 404);
+        assert.strictEqual((await app.trigger('get', '/bar/foo')).status, 400);
+        await app.stop();
+    });
+
+    it('Should keep lookup cost regardless of the amount of routes', () => {
+        function countVisits(count){
+            let router = new Router();
+            for(let i = 0; i < count; i++){
+                router.add('GET', '/res' + i + '/:id', i);
+                router.add('POST', '/res' + i + '/:id/sub/' + i, i);
+            }
+
+            // Count the nodes whose children are looked up during the match.
+            let visits = 0;
+            (function track(node){
+                let get = node.static.get.bind(node.static);
+                node.static.get = key => ++visits && get(key);
+                [ ...node.static.values(), ...node.params, ...node.wildcards ].forEach(track);
+            })(router.root);
+
+            let n = count - 1;
+            assert.strictEqual(router.match('POST', '/res' + n + '/123/sub/' + n).data, n);
+            return visits;
+        }
+
+        assert.strictEqual(countVisits(2000), countVisits(10));
+    });
+
+});
+
 describe('Body Parsing', () => {
 
     const fs = require('fs');
@@ -636,6 +931,134 @@ describe('Body Parsing', () => {
         await app.stop();
     });
 
+    it('Should collect repeated form fields and files into arrays', async () => {
+        const FormData = require('form-data');
+        let dir = fs.mkdtempSync(require('os').tmpdir() + '/nodecaf-');
+        let app = new Nodecaf({
+            conf: { port: 80, formFileDir: dir },
+            api({ post }){
+                post('/bar', ({ body, res }) => {
+                    assert.deepStrictEqual(body.tag, [ 'a', 'b' ]);
+                    assert.strictEqual(body.constructor, 'x');
+                    assert.strictEqual(body.toString, 'y');
+                    assert.strictEqual(body.file.length, 2);
+                    assert.strictEqual(body.file[1].name, 'b.json');
+                    assert.strictEqual(body.file[1].type, 'application/json');
+                    assert.strictEqual(body.file[0].encoding, '7bit');
+                    assert.strictEqual(require('path').dirname(body.file[0].path), dir);
+                    res.end();
+                });
+            }
+        });
+        await app.start();
+
+        let form = new FormData();
+        form.append('tag', 'a');
+        form.append('tag', 'b');
+        form.append('constructor', 'x');
+        form.append('toString', 'y');
+        form.append('file', Buffer.from('aaa'), { filename: 'a.txt', contentType: 'text/plain' });
+        form.append('file', Buffer.from('{}'), { filename: 'b.json', contentType: 'application/json' });
+        let status = await new Promise(done =>
+            form.submit(LOCAL_HOST + '/bar', (err, res) => done(res.statusCode)));
+        assert.strictEqual(status, 200);
+
+        await app.stop();
+        await new Promise(done => setTimeout(done, 100));
+        assert.strictEqual(fs.readdirSync(dir).length, 0);
+        fs.rmdirSync(dir);
+    });
+
+    it('Should delete partial files of failed and aborted uploads', async () => {
+        const http = require('http');
+        let dir = fs.mkdtempSync(require('os').tmpdir() + '/nodecaf-');
+        let app = new Nodecaf({
+            conf: { port: 80, formFileDir: dir },
+            api({ post }){
+                post('/bar', { body: { fileSize: 1000 } }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+
+        let upload = (size, abort) => new Promise(done => {
+            let req = http.request(LOCAL_HOST + '/bar', { method: 'POST',
+                headers: { 'Content-Type': 'multipart/form-data; boundary=xyz' } }, res => {
+                res.resume();
+                done(res.statusCode);
+            });
+            req.on('error', () => done());
+            req.write('--xyz\r\nContent-Disposition: form-data; name="f"; filename="a.bin"\r\n\r\n');
+            req.write(Buffer.alloc(size));
+            abort ? setTimeout(() => req.destroy(), 100) : req.end('\r\n--xyz--\r\n');
+        });
+
+        assert.strictEqual(await upload(64 * 1024), 413);
+        await upload(500, true);
+
+        await new Promise(done => setTimeout(done, 200));
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+        await app.stop();
+        fs.rmdirSync(dir);
+    });
+
+    it('Should send form files to custom storage [opts.storage]', async () => {
+        const FormData = require('form-data');
+        let stored = {};
+        let removed = [];
+        let storage = {
+            async store(file, { field }){
+                let chunks = [];
+                for await(let chunk of file)
+                    chunks.push(chunk);
+                stored[field] = Buffer.concat(chunks).toString();
+                return { key: 'bucket/' + field };
+            },
+            remove({ key }){
+                removed.push(key);
+            }
+        };
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/bar', { storage }, ({ body, res }) => res.text(body.doc.key));
+                post('/small', { storage, body: { fileSize: 3 } }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+
+        let form = new FormData();
+        form.append('doc', Buffer.from('content'), 'doc.txt');
+        let body = await new Promise(done => form.submit(LOCAL_HOST + '/bar', (err, res) => {
+            let data = '';
+            res.on('data', c => data += c);
+            res.on('end', () => done(data));
+        }));
+        assert.strictEqual(body, 'bucket/doc');
+        assert.strictEqual(stored.doc, 'content');
+
+        // Files of successful requests are kept in the storage.
+        await new Promise(done => setTimeout(done, 100));
+        assert.deepStrictEqual(removed, []);
+
+        // Stored files of failed requests are removed, interrupted ones are not.
+        let status = await new Promise(done => {
+            let req = require('http').request(LOCAL_HOST + '/small', { method: 'POST',
+                headers: { 'Content-Type': 'multipart/form-data; boundary=xyz' } }, res => {
+                res.resume();
+                done(res.statusCode);
+            });
+            req.write('--xyz\r\nContent-Disposition: form-data; name="ok"; filename="ok.txt"\r\n\r\nabc\r\n--xyz\r\n');
+            setTimeout(() => req.end('Content-Disposition: form-data; name="big"; ' +
+                'filename="big.txt"\r\n\r\ncontent\r\n--xyz--\r\n'), 100);
+        });
+        assert.strictEqual(status, 413);
+        await new Promise(done => setTimeout(done, 100));
+        assert.deepStrictEqual(removed, [ 'bucket/ok' ]);
+        assert(!stored.big);
+
+        await app.stop();
+    });
+
     it('Should parse JSON request body payloads', async () => {
         let app = new Nodecaf({
             conf: { port: 80 },
@@ -749,245 +1172,1735 @@ describe('Body Parsing', () => {
         await app.stop();
     });
 
-    it('Should not parse request body when setup so', async () => {
+    it('Should respond 413 when body is larger than the limit [conf.body]', async () => {
         let app = new Nodecaf({
-            conf: { port: 80 },
-            shouldParseBody: false,
+            conf: { port: 80, body: { limit: '10b', json: '20b' } },
             api({ post }){
-                post('/foobar', ({ body, res }) => {
-                    assert.strictEqual(body.constructor.name, 'RequestBody');
-                    res.end();
-                });
+                post('/foo', ({ res }) => res.end());
+                post('/bar', { body: { limit: '1kb' } }, ({ res, body }) => res.text(body));
             }
         });
         await app.start();
-        let { assert: { status } } = await base.post(
-            'foobar',
-            { 'Content-Type': 'application/x-www-form-urlencoded' },
-            'foo=bar'
-        );
-        status.is(200);
+        let big = JSON.stringify({ foo: 'bar', baz: 'qux' });
+        let { status } = await base.post('foo', { 'Content-Type': 'text/plain' }, 'more than 10 bytes');
+        assert.strictEqual(status, 413);
+        ({ status } = await base.post('foo', { 'Content-Type': 'application/json' }, '{"foo":"bar"}'));
+        assert.strictEqual(status, 200);
+        ({ status } = await base.post('foo', { 'Content-Type': 'application/json' }, big));
+        assert.strictEqual(status, 413);
+        ({ status } = await base.post('bar', { 'Content-Type': 'text/plain' }, 'more than 10 bytes'));
+        assert.strictEqual(status, 200);
         await app.stop();
     });
 
-});
-
-describe('Assertions', () => {
-
-    it('Should throw when condition evaluates to true', async () => {
+    it('Should limit buffered bodies to 1mb by default [conf.body]', async () => {
         let app = new Nodecaf({
             conf: { port: 80 },
-            api({ get }){
-                get('/foo', function({ res }){
-                    assert.throws( () => res.badRequest(true, Buffer.from('abc')) );
-                    assert.throws( () => res.unauthorized(true) );
-                    assert.throws( () => res.forbidden(true) );
-                    assert.throws( () => res.notFound(true) );
-                    assert.throws( () => res.conflict(true) );
-                    assert.throws( () => res.gone(true) );
-                    res.end();
-                });
+            api({ post }){
+                post('/foo', ({ res }) => res.end());
+                post('/bar', { body: { json: '2mb' } }, ({ res }) => res.end());
             }
         });
         await app.start();
-        await base.get('foo');
+        let big = JSON.stringify({ data: 'a'.repeat(1024 ** 2) });
+        let { status } = await base.post('foo', { 'Content-Type': 'application/json' }, big);
+        assert.strictEqual(status, 413);
+        ({ status } = await base.post('bar', { 'Content-Type': 'application/json' }, big));
+        assert.strictEqual(status, 200);
         await app.stop();
     });
 
-    it('Should do nothing when condition evaluates to false', async () => {
+    it('Should respond 413 when chunked body goes over the limit [conf.body]', async () => {
+        const http = require('http');
         let app = new Nodecaf({
-            conf: { port: 80 },
-            api({ get }){
-                get('/foo', function({ res }){
-                    assert.doesNotThrow( () => res.badRequest(false) );
-                    assert.doesNotThrow( () => res.unauthorized(false) );
-                    assert.doesNotThrow( () => res.forbidden(false) );
-                    assert.doesNotThrow( () => res.notFound(false) );
-                    assert.doesNotThrow( () => res.conflict(false) );
-                    assert.doesNotThrow( () => res.gone(false) );
-                    res.end();
-                });
+            conf: { port: 80, body: { limit: 10 } },
+            api({ post }){
+                post('/foo', ({ res }) => res.end());
             }
         });
         await app.start();
-        await base.get('foo');
+        let status = await new Promise((resolve, reject) => {
+            let req = http.request(LOCAL_HOST + '/foo', { method: 'POST' }, res => resolve(res.statusCode));
+            req.on('error', reject);
+            req.write('more than');
+            setTimeout(() => req.end(' 10 bytes'), 100);
+        });
+        assert.strictEqual(status, 413);
         await app.stop();
     });
 
-});
+    it('Should respond 413 when form files are over the limits [conf.body]', async () => {
+        const FormData = require('form-data');
+        let app = new Nodecaf({
+            conf: { port: 80, body: { fileSize: 4, files: 1 } },
+            api({ post }){
+                post('/foo', ({ res }) => res.end());
+            }
+        });
+        await app.start();
 
-describe('Error Handling', () => {
-    const fs = require('fs');
+        let submit = form => new Promise(done =>
+            form.submit(LOCAL_HOST + '/foo', (err, res) => done(res.statusCode)));
 
-    it('Should handle Error thrown sync on the route', async () => {
+        let form = new FormData();
+        form.append('file', Buffer.from('more than 4 bytes'), 'a.txt');
+        assert.strictEqual(await submit(form), 413);
+
+        form = new FormData();
+        form.append('a', Buffer.from('a'), 'a.txt');
+        form.append('b', Buffer.from('b'), 'b.txt');
+        assert.strictEqual(await submit(form), 413);
+
+        form = new FormData();
+        form.append('a', Buffer.from('a'), 'a.txt');
+        assert.strictEqual(await submit(form), 200);
+
+        await app.stop();
+    });
+
+    it('Should stream request body to given destination [body.pipe()]', async () => {
         let app = new Nodecaf({
             conf: { port: 80 },
             api({ post }){
-                post('/unknown', () => {
-                    throw new Error('othererr');
+                post('/foo', { parseBody: false }, async ({ body, res }) => {
+                    await body.pipe(fs.createWriteStream(__dirname + '/stream.txt'));
+                    res.end();
                 });
             }
         });
         await app.start();
-        let { status: status } = await base.post('unknown');
-        assert.strictEqual(status, 500);
+        let { status } = await base.post('foo', { 'Content-Type': 'text/plain' }, 'foobar');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(fs.readFileSync(__dirname + '/stream.txt', 'utf8'), 'foobar');
+        fs.unlinkSync(__dirname + '/stream.txt');
         await app.stop();
     });
 
-    it('Should handle Error injected sync on the route', async () => {
+    it('Should iterate over NDJSON request bodies [body.ndjson()]', async () => {
         let app = new Nodecaf({
             conf: { port: 80 },
             api({ post }){
-                post('/known', ({ res }) => {
-                    throw res.error(404);
-                });
-                post('/unknown', ({ res }) => {
-                    throw res.error(new Error('errfoobar'));
-                });
-                post('/serverfault', ({ res }) => {
-                    throw res.error(501, { test: 'foo' });
+                post('/foo', async ({ body, res }) => {
+                    let sum = 0;
+                    for await(let obj of body.ndjson())
+                        sum += obj.n;
+                    res.text(sum);
                 });
             }
         });
         await app.start();
-        let { status } = await base.post('known');
-        assert.strictEqual(status, 404);
-        let { status: s2 } = await base.post('unknown');
-        assert.strictEqual(s2, 500);
-        let { status: s3 } = await base.post('serverfault');
-        assert.strictEqual(s3, 501);
+        let headers = { 'Content-Type': 'application/x-ndjson' };
+        let { body } = await base.post('foo', headers, '{"n":1}\n{"n":2}\n\n{"n":3}');
+        assert.strictEqual(body, '6');
+        let { status } = await base.post('foo', headers, '{"n":1}\n{"n":');
+        assert.strictEqual(status, 400);
         await app.stop();
     });
 
-    it('Should handle Rejection on async route', async () => {
+    it('Should abort streamed body when over the limit [body.stream()]', async () => {
         let app = new Nodecaf({
-            conf: { port: 80 },
+            conf: { port: 80, body: { limit: 4 } },
             api({ post }){
-                post('/async', async () => {
-                    await new Promise((y, n) => n());
+                post('/foo', { parseBody: false }, async ({ body, res }) => {
+                    for await(let chunk of body.stream())
+                        res.write(chunk);
+                    res.end();
                 });
             }
         });
         await app.start();
-        let { assert } = await base.post('async');
-        assert.status.is(500);
+        let { status } = await base.post('foo', { 'Content-Type': 'text/plain' }, 'foobar');
+        assert.strictEqual(status, 413);
         await app.stop();
     });
 
-    it('Should handle Error injected ASYNC on the route', async () => {
+    it('Should end streamed body when the client aborts [body.pipe()]', async () => {
+        const { Writable } = require('stream');
+        let settled;
         let app = new Nodecaf({
-            conf: { port: 80 },
+            conf: { port: 80, body: { limit: '1mb' } },
             api({ post }){
-                post('/known', ({ res }) => {
-                    fs.readdir('.', function(){
-                        res.error(404, true);
-                    });
-                });
-                post('/unknown', async ({ res }) => {
-                    await fs.readdir('.', function(){
-                        res.error({ a: 'b' });
-                    });
-                });
-                post('/unknown/object', ({ res }) => {
-                    res.error(Buffer.from('abc'));
+                post('/foo', { parseBody: false }, ({ body }) => {
+                    let dest = new Writable({ write: (chunk, enc, done) => done() });
+                    settled = body.pipe(dest).then(() => 'resolved', err => err.message);
                 });
             }
         });
         await app.start();
-        let { status } = await base.post('known');
-        assert.strictEqual(status, 404);
-        let { status: s2 } = await base.post('unknown');
-        assert.strictEqual(s2, 500);
-        let { status: s3 } = await base.post('unknown/object');
-        assert.strictEqual(s3, 500);
+        let req = require('http').request(LOCAL_HOST + '/foo', { method: 'POST' });
+        req.on('error', Function.prototype);
+        req.write('foo');
+        await new Promise(done => setTimeout(done, 100));
+        req.destroy();
+        let result = await Promise.race([ settled, new Promise(done => setTimeout(done, 500, 'pending')) ]);
+        assert.strictEqual(result, 'Request aborted by the client');
         await app.stop();
     });
 
-});
+    it('Should not parse request body when setup so', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            shouldParseBody: false,
+            api({ post }){
+                post('/foobar', ({ body, res }) => {
+                    assert.strictEqual(body.constructor.name, 'RequestBody');
+                    res.end();
+                });
+            }
+        });
+        await app.start();
+        let { assert: { status } } = await base.post(
+            'foobar',
+            { 'Content-Type': 'application/x-www-form-urlencoded' },
+            'foo=bar'
+        );
+        status.is(200);
+        await app.stop();
+    });
+
+});
+
+describe('Validation', () => {
+
+    const { compile } = require('../lib/schema');
+
+    it('Should validate values against JSON schemas', () => {
+        let validate = compile({
+            type: 'object',
+            required: [ 'name', 'age' ],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', minLength: 3 },
+                age: { type: 'integer', minimum: 0 },
+                tags: { type: 'array', items: { enum: [ 'a', 'b' ] } },
+                kind: { type: 'string', default: 'user' }
+            }
+        });
+        let { value, errors } = validate({ name: 'John', age: 3 });
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(value.kind, 'user');
+        ({ errors } = validate({ name: 'Jo', tags: [ 'c' ], foo: 1 }));
+        assert.deepStrictEqual(errors.map(e => e.path).sort(),
+            [ '/age', '/foo', '/name', '/tags/0' ]);
+    });
+
+    it('Should resolve local schema references', () => {
+        let validate = compile({
+            $ref: '#/definitions/node',
+            definitions: {
+                x: { type: 'string' },
+                node: {
+                    type: 'object',
+                    properties: { name: { $ref: '#/definitions/x' }, children: { type: 'array', items: { $ref: '#/definitions/node' } } }
+                }
+            }
+        });
+        assert.strictEqual(validate({ name: 'a', children: [ { name: 'b' } ] }).errors.length, 0);
+        assert.deepStrictEqual(validate({ name: 'a', children: [ { name: 2 } ] }).errors.map(e => e.path),
+            [ '/children/0/name' ]);
+        assert.strictEqual(validate(42).errors.length, 1);
+        assert.strictEqual(compile({ $ref: '#/definitions/x', definitions: { x: { type: 'string' } } })(42).errors.length, 1);
+        assert.throws(() => compile({ $ref: '#/definitions/y' }), /Can't resolve/);
+        assert.throws(() => compile({ $ref: 'http://x.y/schema.json' }), /Only local/);
+    });
+
+    it('Should apply the object, array and conditional keywords', () => {
+        let validate = compile({
+            type: 'object',
+            additionalProperties: false,
+            minProperties: 1,
+            maxProperties: 3,
+            propertyNames: { maxLength: 5 },
+            patternProperties: { '^x-': { type: 'string' } },
+            properties: {
+                list: { type: 'array', contains: { const: 1 } },
+                pair: { type: 'array', items: [ { type: 'string' }, { type: 'number' } ], additionalItems: false },
+                card: { type: 'string' }
+            },
+            dependencies: { card: [ 'list' ] },
+            if: { required: [ 'x-a' ] },
+            then: { required: [ 'pair' ] },
+            else: { not: { required: [ 'pair' ] } }
+        });
+        assert.strictEqual(validate({ 'x-a': 'b', pair: [ 'a', 1 ] }).errors.length, 0);
+        assert.strictEqual(validate({ list: [ 2, 1 ] }).errors.length, 0);
+        let message = v => validate(v).errors.map(e => e.path + ' ' + e.message);
+        assert.deepStrictEqual(message({}), [ ' must NOT have fewer than 1 properties' ]);
+        assert.deepStrictEqual(message({ 'x-a': 1, pair: [ 'a', 1 ] }), [ '/x-a must be string' ]);
+        assert.deepStrictEqual(message({ list: [ 2 ] }), [ '/list must contain at least 1 valid item' ]);
+        assert.deepStrictEqual(message({ 'x-a': 'b', pair: [ 'a', 1, 2 ] }), [ '/pair/2 must NOT be present' ]);
+        assert.deepStrictEqual(message({ card: 'a' }), [ '/list is required when \'card\' is present' ]);
+        assert.deepStrictEqual(message({ 'x-a': 'b' }), [ '/pair is required' ]);
+        assert.deepStrictEqual(message({ 'x-long': 'b', pair: [ 'a', 1 ] }).length, 2);
+        assert.deepStrictEqual(message({ pair: [ 'a', 1 ] }), [ ' must NOT be valid' ]);
+    });
+
+    it('Should fail when schemas have unsupported keywords', () => {
+        assert.throws(() => compile({ type: 'object', properties: { a: { unevaluatedProperties: false } } }),
+            /Unsupported schema keyword 'unevaluatedProperties'/);
+        assert.throws(() => compile({ format: 'ipv4' }), /Unsupported schema format 'ipv4'/);
+        assert.throws(() => new Nodecaf({
+            api({ post }){
+                post('/foo', { schema: { body: { $recursiveRef: '#' } } }, Function.prototype);
+            }
+        }), /Unsupported schema keyword/);
+    });
+
+    it('Should not skip body schemas of unparsed bodies', async () => {
+        let schema = { body: { type: 'object' } };
+        assert.throws(() => new Nodecaf({
+            api({ post }){
+                post('/foo', { schema, parseBody: false }, Function.prototype);
+            }
+        }), /Body schema requires the body to be parsed at '\/foo'/);
+        assert.throws(() => new Nodecaf({
+            shouldParseBody: false,
+            api({ post }){
+                post('/foo', { schema }, Function.prototype);
+            }
+        }), /Body schema requires the body to be parsed/);
+
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/foo', { schema }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let { status } = await base.post('foo', { 'Content-Type': 'application/x-ndjson' }, '{}\n{}');
+        assert.strictEqual(status, 415);
+        await app.stop();
+    });
+
+    it('Should coerce string inputs when setup so', () => {
+        let validate = compile({
+            type: 'object',
+            properties: {
+                page: { type: 'integer' },
+                full: { type: 'boolean' },
+                ids: { type: 'array', items: { type: 'number' } }
+            }
+        }, { coerce: true });
+        let { value, errors } = validate({ page: '2', full: 'true', ids: '3.5' });
+        assert.strictEqual(errors.length, 0);
+        assert.deepStrictEqual(value, { page: 2, full: true, ids: [ 3.5 ] });
+    });
+
+    it('Should respond 400 with the violations of route inputs', async () => {
+        let app = new Nodecaf({
+            api({ post }){
+                post('/foo/:id', {
+                    schema: {
+                        params: { properties: { id: { type: 'integer' } } },
+                        query: { properties: { force: { type: 'boolean' } } },
+                        body: { type: 'object', required: [ 'name' ] }
+                    }
+                }, ({ res, params, query, body }) => {
+                    res.json({ id: params.id, force: query.force, name: body.name });
+                });
+            }
+        });
+        await app.start();
+        let headers = { 'content-type': 'application/json' };
+        let res = await app.trigger('post', '/foo/12', {
+            headers, query: { force: 'true' }, body: { name: 'bar' } });
+        assert.strictEqual(res.body, '{"id":12,"force":true,"name":"bar"}');
+        res = await app.trigger('post', '/foo/bar', { headers, query: { force: 'maybe' }, body: {} });
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(JSON.parse(res.body).map(v => v.in), [ 'params', 'query', 'body' ]);
+        await app.stop();
+    });
+
+});
+
+describe('Response Schemas', () => {
+
+    const { compileSerializer } = require('../lib/schema');
+
+    it('Should serialize only the declared fields', () => {
+        let serialize = compileSerializer({
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    meta: { type: 'object', additionalProperties: true }
+                }
+            }
+        });
+        let json = serialize([ { name: 'a', password: 'x', meta: { b: 1 } }, { name: 'b' } ]);
+        assert.strictEqual(json, '[{"name":"a","meta":{"b":1}},{"name":"b"}]');
+    });
+
+    it('Should strip undeclared fields of combined and referenced schemas', () => {
+        let serialize = compileSerializer({
+            definitions: { user: { type: 'object', properties: { id: { type: 'integer' } } } },
+            type: 'object',
+            properties: {
+                owner: { $ref: '#/definitions/user' },
+                item: { oneOf: [
+                    { type: 'object', required: [ 'sku' ], properties: { sku: { type: 'string' } } },
+                    { type: 'object', properties: { id: { type: 'integer' } } }
+                ] },
+                tags: { anyOf: [ { type: 'array', items: { type: 'string' } } ] },
+                empty: { type: 'object', additionalProperties: false }
+            }
+        });
+        let json = serialize({
+            owner: { id: 1, password: 'x' },
+            item: { id: 2, password: 'x' },
+            tags: [ 'a' ],
+            empty: { password: 'x' }
+        });
+        assert.strictEqual(json, '{"owner":{"id":1},"item":{"id":2},"tags":["a"],"empty":{}}');
+        assert.strictEqual(serialize({ item: { sku: 'a', id: 2 } }), '{"item":{"sku":"a"}}');
+        assert.throws(() => compileSerializer({ if: { required: [ 'a' ] }, then: {} }), TypeError);
+    });
+
+    it('Should strip undeclared fields and log contract violations', async () => {
+        let logged;
+        let app = new Nodecaf({
+            api({ get }){
+                get('/user', {
+                    responses: {
+                        200: { schema: { type: 'object', properties: { name: { type: 'string' } } } },
+                        '4XX': { schema: { type: 'object', properties: { message: { type: 'string' } } } }
+                    }
+                }, ({ res, query }) => {
+                    if(query.fail)
+                        return res.status(404).json({ message: 2, stack: 'x' });
+                    res.json({ name: 'John', hash: 'secret' });
+                });
+            }
+        });
+        await app.start();
+        app.log.error = (data, ...args) => logged = { data, args };
+        let { body } = await app.trigger('get', '/user');
+        assert.strictEqual(body, '{"name":"John"}');
+        assert(!logged);
+        ({ body } = await app.trigger('get', '/user', { query: { fail: true } }));
+        assert.strictEqual(body, '{"message":2}');
+        assert.strictEqual(logged.data.errors[0].path, '/message');
+        await app.stop();
+    });
+
+});
+
+describe('Content Negotiation', () => {
+
+    it('Should dispatch to the handler of the most acceptable type', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/export', ({ res }) => res.format({
+                    json: () => res.json([ 1, 2 ]),
+                    csv: () => res.end('1,2'),
+                    'text/html': () => res.end('<p>1, 2</p>')
+                }));
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/export', { headers: { accept: 'text/csv' } });
+        assert.strictEqual(r.body, '1,2');
+        assert.strictEqual(r.headers['Content-Type'], 'text/csv');
+        assert.strictEqual(r.headers.Vary, 'Accept');
+        r = await app.trigger('get', '/export', { headers: { accept: 'text/*;q=0.8, application/json;q=0.5' } });
+        assert.strictEqual(r.headers['Content-Type'], 'text/csv');
+        r = await app.trigger('get', '/export', { headers: { accept: 'text/html, */*;q=0.1' } });
+        assert.strictEqual(r.body, '<p>1, 2</p>');
+        r = await app.trigger('get', '/export', { headers: { accept: 'text/csv;q=0, */*' } });
+        assert.strictEqual(r.body, '[1,2]');
+        r = await app.trigger('get', '/export');
+        assert.strictEqual(r.headers['Content-Type'], 'application/json');
+        await app.stop();
+    });
+
+    it('Should respond 406 when no offered type is acceptable', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/export', ({ res }) => res.format({
+                    json: () => res.json({}),
+                    csv: () => res.end('')
+                }));
+            }
+        });
+        await app.start();
+        let { assert: { status, body } } = await base.get('export', { 'Accept': 'image/png' });
+        status.is(406);
+        body.contains('application/json, text/csv');
+        await app.stop();
+    });
+
+    it('Should pick acceptable languages and encodings', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/foo', ({ req, res }) => res.json({
+                    type: req.accepts('json', 'html'),
+                    lang: req.acceptsLanguages('pt-BR', 'en-US', 'fr'),
+                    enc: req.acceptsEncodings([ 'gzip', 'identity' ]),
+                    none: req.acceptsEncodings('br')
+                }));
+            }
+        });
+        await app.start();
+        let { body } = await app.trigger('get', '/foo', { headers: {
+            'accept': 'text/html',
+            'accept-language': 'en;q=0.8, fr;q=0.5, *;q=0.1',
+            'accept-encoding': 'deflate, gzip;q=0'
+        } });
+        assert.deepStrictEqual(JSON.parse(body),
+            { type: 'html', lang: 'en-US', enc: 'identity', none: false });
+        await app.stop();
+    });
+
+});
+
+describe('Assertions', () => {
+
+    it('Should throw when condition evaluates to true', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/foo', function({ res }){
+                    assert.throws( () => res.badRequest(true, Buffer.from('abc')) );
+                    assert.throws( () => res.unauthorized(true) );
+                    assert.throws( () => res.forbidden(true) );
+                    assert.throws( () => res.notFound(true) );
+                    assert.throws( () => res.notAcceptable(true) );
+                    assert.throws( () => res.conflict(true) );
+                    assert.throws( () => res.gone(true) );
+                    assert.throws( () => res.tooManyRequests(true) );
+                    assert.throws( () => res.preconditionFailed(true) );
+                    res.end();
+                });
+            }
+        });
+        await app.start();
+        await base.get('foo');
+        await app.stop();
+    });
+
+    it('Should do nothing when condition evaluates to false', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/foo', function({ res }){
+                    assert.doesNotThrow( () => res.badRequest(false) );
+                    assert.doesNotThrow( () => res.unauthorized(false) );
+                    assert.doesNotThrow( () => res.forbidden(false) );
+                    assert.doesNotThrow( () => res.notFound(false) );
+                    assert.doesNotThrow( () => res.notAcceptable(false) );
+                    assert.doesNotThrow( () => res.conflict(false) );
+                    assert.doesNotThrow( () => res.gone(false) );
+                    assert.doesNotThrow( () => res.tooManyRequests(false) );
+                    assert.doesNotThrow( () => res.preconditionFailed(false) );
+                    res.end();
+                });
+            }
+        });
+        await app.start();
+        await base.get('foo');
+        await app.stop();
+    });
+
+});
+
+describe('Error Handling', () => {
+    const fs = require('fs');
+
+    it('Should handle Error thrown sync on the route', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/unknown', () => {
+                    throw new Error('othererr');
+                });
+            }
+        });
+        await app.start();
+        let { status: status } = await base.post('unknown');
+        assert.strictEqual(status, 500);
+        await app.stop();
+    });
+
+    it('Should handle Error injected sync on the route', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/known', ({ res }) => {
+                    throw res.error(404);
+                });
+                post('/unknown', ({ res }) => {
+                    throw res.error(new Error('errfoobar'));
+                });
+                post('/serverfault', ({ res }) => {
+                    throw res.error(501, { test: 'foo' });
+                });
+            }
+        });
+        await app.start();
+        let { status } = await base.post('known');
+        assert.strictEqual(status, 404);
+        let { status: s2 } = await base.post('unknown');
+        assert.strictEqual(s2, 500);
+        let { status: s3 } = await base.post('serverfault');
+        assert.strictEqual(s3, 501);
+        await app.stop();
+    });
+
+    it('Should handle Rejection on async route', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/async', async () => {
+                    await new Promise((y, n) => n());
+                });
+            }
+        });
+        await app.start();
+        let { assert } = await base.post('async');
+        assert.status.is(500);
+        await app.stop();
+    });
+
+    it('Should handle Error injected ASYNC on the route', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/known', ({ res }) => {
+                    fs.readdir('.', function(){
+                        res.error(404, true);
+                    });
+                });
+                post('/unknown', async ({ res }) => {
+                    await fs.readdir('.', function(){
+                        res.error({ a: 'b' });
+                    });
+                });
+                post('/unknown/object', ({ res }) => {
+                    res.error(Buffer.from('abc'));
+                });
+            }
+        });
+        await app.start();
+        let { status } = await base.post('known');
+        assert.strictEqual(status, 404);
+        let { status: s2 } = await base.post('unknown');
+        assert.strictEqual(s2, 500);
+        let { status: s3 } = await base.post('unknown/object');
+        assert.strictEqual(s3, 500);
+        await app.stop();
+    });
+
+});
+
+describe('Logging', () => {
+
+    it('Should not log filtered level and type', async () => {
+        let app = new Nodecaf();
+        app.setup({ log: { only: 'test', level: 'info' } });
+        await app.start();
+        assert.strictEqual(app.log.debug({ type: 'test' }), false);
+        assert.strictEqual(app.log.info({ type: 'foo' }), false);
+        assert(app.log.info({ type: 'test' }));
+        await app.stop();
+    });
+
+    it('Should not log when disbled via conf', async () => {
+        let app = new Nodecaf({ conf: { log: false } });
+        await app.start();
+        assert.strictEqual(app.log.debug('my entry'), false);
+        assert.strictEqual(app.log.error({ type: 'foo' }), false);
+        await app.stop();
+    });
+
+    it('Should stamp the request ID on log entries and response headers', async () => {
+        let entries = [];
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/foo', ({ res, log, requestId }) => {
+                    entries.push(log.info('handling'), log.warn({ type: 'test' }, 'with data'));
+                    res.end(requestId);
+                });
+            }
+        });
+        await app.start();
+        let { headers, body } = await base.get('foo', { 'X-Request-Id': 'abc-123' });
+        assert.strictEqual(headers['x-request-id'], 'abc-123');
+        assert.strictEqual(body.toString(), 'abc-123');
+        assert.strictEqual(entries[0].requestId, 'abc-123');
+        assert.strictEqual(entries[1].type, 'test');
+        assert.strictEqual(entries[1].requestId, 'abc-123');
+        ({ headers } = await base.get('foo', {
+            traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' }));
+        assert.strictEqual(headers['x-request-id'], '4bf92f3577b34da6a3ce929d0e0e4736');
+        ({ headers } = await base.get('foo'));
+        assert(/^[\da-f-]{36}$/.test(headers['x-request-id']));
+        await app.stop();
+    });
+
+    it('Should log one JSON access entry per request [conf.accessLog]', async () => {
+        let entries = [];
+        let app = new Nodecaf({
+            conf: { port: 80, trustProxy: true, accessLog: {
+                redact: [ 'token', 'authorization' ], headers: [ 'Authorization', 'X-Custom' ] } },
+            api({ post }){
+                post('/users/:id', ({ res }) => res.end('12345'));
+            }
+        });
+        await app.start();
+        app.log.info = (data, ...args) => entries.push({ data, args });
+        await base.post('users/1?token=abc&page=2', {
+            'Authorization': 'Bearer secret',
+            'X-Custom': 'foo',
+            'X-Forwarded-For': '203.0.113.5, 10.0.0.1',
+            'User-Agent': 'test-agent',
+            'Content-Type': 'text/plain'
+        }, 'hello');
+        await app.stop();
+        let [ { data, args } ] = entries.filter(e => e.data.type == 'access');
+        assert.strictEqual(data.method, 'POST');
+        assert.strictEqual(data.route, '/users/:id');
+        assert.strictEqual(data.path, '/users/1?token=%5BREDACTED%5D&page=2');
+        assert.strictEqual(data.status, 200);
+        assert.strictEqual(data.bytesIn, 5);
+        assert.strictEqual(data.bytesOut, 5);
+        assert.strictEqual(data.ip, '203.0.113.5');
+        assert.strictEqual(data.userAgent, 'test-agent');
+        assert.deepStrictEqual(data.headers, { 'authorization': '[REDACTED]', 'x-custom': 'foo' });
+        assert(data.requestId);
+        assert(typeof data.duration == 'number');
+        assert.strictEqual(args[0], '%s %s %d %dms');
+    });
+
+    it('Should log access entries in Apache combined format [conf.accessLog]', async () => {
+        let lines = [];
+        let app = new Nodecaf({
+            conf: { port: 80, accessLog: 'combined', compression: { threshold: '10b' } },
+            api({ get }){
+                get('/foo', ({ res }) => res.type('text').end('a'.repeat(1000)));
+            }
+        });
+        await app.start();
+        app.log.info = (data, line) => data.type == 'access' && lines.push(line);
+        await base.get('foo?a=1', { 'Accept-Encoding': 'gzip', 'Referer': 'http://x.y/' });
+        await app.stop();
+        let m = /^(\S+) - - \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/foo\?a=1 HTTP\/1.1" 200 (\d+) "http:\/\/x.y\/" "(.*)"$/.exec(lines[0]);
+        assert(m, lines[0]);
+        assert(Number(m[2]) < 1000);
+    });
+
+    it('Should log WebSocket handshakes as 101 responses [conf.accessLog]', async () => {
+        let entries = [];
+        let app = new Nodecaf({
+            conf: { port: 80, accessLog: true },
+            api({ ws }){
+                ws('/chat', Function.prototype);
+            }
+        });
+        await app.start();
+        app.log.info = data => data.type == 'access' && entries.push(data);
+        await new Promise(done => require('http').request(LOCAL_HOST + '/chat', { headers: {
+            'Connection': 'Upgrade', 'Upgrade': 'websocket', 'Sec-WebSocket-Version': '13',
+            'Sec-WebSocket-Key': require('crypto').randomBytes(16).toString('base64')
+        } }).on('upgrade', (res, socket) => done(socket.destroy())).end());
+        await app.stop();
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].route, '/chat');
+        assert.strictEqual(entries[0].status, 101);
+    });
+
+    it('Should keep the request ID in forks and app.call()', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/foo', async ({ res, fork }) => {
+                    await new Promise(done => setTimeout(done, 5));
+                    let called = app.call(({ requestId, log }) => log.info('bg').requestId + requestId);
+                    let forked = await fork(({ requestId, next }) => next(requestId));
+                    res.end(called + forked);
+                });
+            }
+        });
+        await app.start();
+        let { body } = await app.trigger('get', '/foo', { headers: { 'x-request-id': 'r1' } });
+        assert.strictEqual(body, 'r1r1r1');
+        await app.stop();
+    });
+
+});
+
+describe('Regression', () => {
+
+    it('Should handle errors even when error event has no listeners', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ post }){
+                post('/bar', () => {
+                    throw new Error('errfoobar');
+                });
+            }
+        });
+        await app.start();
+        let { status } = await base.post('bar');
+        assert.strictEqual(status, 500);
+        await app.stop();
+    });
+
+    it('Should not fail when attempting to close during startup', async () => {
+        let app = new Nodecaf();
+        let p = app.start();
+        await assert.doesNotReject( app.stop() );
+        await p;
+        await app.stop();
+    });
+
+    it('Should read correct package.json for name and version', () => {
+        let app = new Nodecaf();
+        assert.strictEqual(app._name, 'nodecaf');
+    });
+
+    it('Should not modify the very object used as cookie options', async () => {
+        let cookieOpts = { maxAge: 68300000 };
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/foo', function({ res }){
+                    res.cookie('test', 'foo', cookieOpts);
+                    res.cookie('testa', 'bar', cookieOpts);
+                    res.json(cookieOpts);
+                });
+            }
+        });
+        await app.start();
+        let { body } = await base.get('foo');
+        assert.strictEqual(JSON.parse(body).maxAge, 68300000);
+        await app.stop();
+    });
+
+    it('Should NOT send reponse body when assertion has no message', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                get('/foo', function({ res }){
+                    res.unauthorized(true);
+                });
+            }
+        });
+        await app.start();
+        let { headers, body } = await base.get('foo');
+        assert(!headers['content-type']);
+        assert.strictEqual(body.length, 0);
+        await app.stop();
+    });
+
+});
+
+describe('Compression', () => {
+
+    const zlib = require('zlib');
+    const list = Array.from({ length: 200 }, (v, id) => ({ id, name: 'Item ' + id }));
+
+    it('Should compress responses above the threshold [conf.compression]', async () => {
+        let app = new Nodecaf({
+            conf: { compression: { threshold: '1kb' } },
+            api({ get }){
+                get('/list', ({ res }) => res.json(list));
+                get('/small', ({ res }) => res.json({ id: 1 }));
+                get('/image', ({ res }) => res.type('image/png').end(Buffer.alloc(2048)));
+            }
+        });
+        await app.start();
+        let headers = { 'accept-encoding': 'deflate;q=0.5, gzip' };
+        let r = await app.trigger('get', '/list', { headers });
+        assert.strictEqual(r.headers['Content-Encoding'], 'gzip');
+        assert.strictEqual(r.headers.Vary, 'Accept-Encoding');
+        assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(r.body)), list);
+        r = await app.trigger('get', '/list', { headers: { 'accept-encoding': 'br' } });
+        assert.deepStrictEqual(JSON.parse(zlib.brotliDecompressSync(r.body)), list);
+        r = await app.trigger('get', '/list', { headers: { 'accept-encoding': 'identity' } });
+        assert.deepStrictEqual(JSON.parse(r.body), list);
+        r = await app.trigger('get', '/small', { headers });
+        assert.strictEqual(r.body, '{"id":1}');
+        r = await app.trigger('get', '/image', { headers });
+        assert(!r.headers['Content-Encoding']);
+        await app.stop();
+    });
+
+    it('Should compress streamed responses [conf.compression]', async () => {
+        const http = require('http');
+        let app = new Nodecaf({
+            conf: { port: 80, compression: true },
+            api({ get }){
+                get('/stream', ({ res }) => {
+                    res.type('text');
+                    for(let item of list)
+                        res.write(item.name + '\n');
+                    res.end();
+                });
+            }
+        });
+        await app.start();
+        let res = await new Promise(resolve => http.get(LOCAL_HOST + '/stream',
+            { headers: { 'Accept-Encoding': 'deflate' } }, resolve));
+        assert.strictEqual(res.headers['content-encoding'], 'deflate');
+        let chunks = [];
+        for await(let chunk of res.pipe(zlib.createInflate()))
+            chunks.push(chunk);
+        assert.strictEqual(String(Buffer.concat(chunks)), list.map(i => i.name + '\n').join(''));
+        await app.stop();
+    });
+
+});
+
+describe('Server-Sent Events', () => {
+
+    it('Should send events through the response stream [res.sse]', async () => {
+        let app = new Nodecaf({
+            api({ get }){
+                get('/jobs/:id/progress', async ({ res }) => {
+                    let stream = res.sse({ heartbeat: false, retry: 3000 });
+                    stream.send({ progress: 50 }, { event: 'progress', id: stream.lastEventId + 1 });
+                    stream.send('line 1\nline 2\rline 3');
+                    assert.throws(() => stream.send('x', { event: 'a\ndata: fake' }), TypeError);
+                    assert.throws(() => stream.send('x', { id: '1\r\nevent: fake' }), TypeError);
+                    await stream.close();
+                    assert(!stream.send('late'));
+                });
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/jobs/1/progress', { headers: { 'last-event-id': '4' } });
+        assert.strictEqual(r.headers['Content-Type'], 'text/event-stream');
+        assert.strictEqual(r.headers['Cache-Control'], 'no-cache');
+        assert.strictEqual(String(r.body), 'retry: 3000\n\n' +
+            'event: progress\nid: 41\ndata: {"progress":50}\n\n' +
+            'data: line 1\ndata: line 2\ndata: line 3\n\n');
+        await app.stop();
+    });
+
+    it('Should close event streams when the app stops [res.sse]', async () => {
+        const http = require('http');
+        let closed = false;
+        let app = new Nodecaf({
+            conf: { port: 80, compression: true },
+            api({ get }){
+                get('/events', async ({ res }) => {
+                    let stream = res.sse({ heartbeat: 10 });
+                    stream.send('hello');
+                    await stream.closed;
+                    closed = true;
+                });
+            }
+        });
+        await app.start();
+        let res = await new Promise(resolve => http.get(LOCAL_HOST + '/events',
+            { headers: { 'Accept-Encoding': 'gzip' } }, resolve));
+        assert(!res.headers['content-encoding']);
+        let data = '';
+        await new Promise(resolve => res.on('data', chunk => {
+            data += chunk;
+            data.includes(':\n\n:\n\n') && resolve();
+        }));
+        assert(data.includes('data: hello\n\n'));
+        await app.stop();
+        assert(closed);
+    });
+
+});
+
+describe('WebSockets', () => {
+
+    const http = require('http');
+    const crypto = require('crypto');
+
+    function connect(path, headers = {}){
+        let key = crypto.randomBytes(16).toString('base64');
+        return new Promise((resolve, reject) => {
+            let req = http.request(LOCAL_HOST + path, { headers: {
+                'Connection': 'Upgrade', 'Upgrade': 'websocket',
+                'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key, ...headers
+            } });
+            req.on('upgrade', (res, socket, head) => {
+                head.length > 0 && socket.unshift(head);
+                resolve({ res, socket, key });
+            });
+            req.on('response', res => resolve({ res }));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    // Client frames must be masked.
+    function frame(opcode, payload){
+        let mask = crypto.randomBytes(4);
+        let data = Buffer.from(payload).map((b, i) => b ^ mask[i % 4]);
+        return Buffer.concat([ Buffer.from([ 0x80 | opcode, 0x80 | data.length ]), mask, data ]);
+    }
+
+    function read(socket){
+        return new Promise(resolve => socket.once('data', chunk =>
+            resolve({ opcode: chunk[0] & 0x0f, payload: chunk.slice(2, 2 + chunk[1]) })));
+    }
+
+    it('Should exchange messages with handler args [ws]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80, greeting: 'hi' },
+            api({ ws, pre }){
+                pre(({ res, headers, next }) => {
+                    res.unauthorized(headers.authorization != 'secret');
+                    next();
+                });
+                ws('/chat/:room', ({ socket, params, query, conf }) => {
+                    socket.send(conf.greeting);
+                    socket.on('message', msg =>
+                        socket.send(params.room + ':' + query.user + ':' + msg));
+                });
+            }
+        });
+        await app.start();
 
-describe('Logging', () => {
+        let { res, socket, key } = await connect('/chat/general?user=bob', { 'Authorization': 'secret' });
+        assert.strictEqual(res.statusCode, 101);
+        assert.strictEqual(res.headers['sec-websocket-accept'], crypto.createHash('sha1')
+            .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64'));
+        assert.strictEqual(String((await read(socket)).payload), 'hi');
+        socket.write(frame(1, 'hello'));
+        assert.strictEqual(String((await read(socket)).payload), 'general:bob:hello');
+        socket.write(frame(8, Buffer.from([ 0x03, 0xe8 ])));
+        assert.strictEqual((await read(socket)).opcode, 8);
+
+        ({ res } = await connect('/chat/general'));
+        assert.strictEqual(res.statusCode, 401);
+        await app.stop();
+    });
 
-    it('Should not log filtered level and type', async () => {
-        let app = new Nodecaf();
-        app.setup({ log: { only: 'test', level: 'info' } });
+    it('Should respond 426 to requests without upgrade [ws]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ ws, post }){
+                ws('/chat', ({ socket }) => socket.close());
+                post('/chat', ({ res }) => res.end());
+            }
+        });
         await app.start();
-        assert.strictEqual(app.log.debug({ type: 'test' }), false);
-        assert.strictEqual(app.log.info({ type: 'foo' }), false);
-        assert(app.log.info({ type: 'test' }));
+        let { status, headers } = await base.get('chat');
+        assert.strictEqual(status, 426);
+        assert.strictEqual(headers.upgrade, 'websocket');
+        ({ status } = await base.put('chat'));
+        assert.strictEqual(status, 405);
+        ({ status } = await app.trigger('ws', '/chat'));
+        assert.strictEqual(status, 426);
+        let { res } = await connect('/chat', { 'Sec-WebSocket-Version': '8' });
+        assert.strictEqual(res.statusCode, 426);
+        assert.strictEqual(res.headers['sec-websocket-version'], '13');
+        assert(!app.describe().paths['/chat'].ws);
         await app.stop();
     });
 
-    it('Should not log when disbled via conf', async () => {
-        let app = new Nodecaf({ conf: { log: false } });
+    it('Should close open sockets when the app stops [ws]', async () => {
+        let closed;
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ ws }){
+                ws('/live', ({ socket }) => {
+                    socket.send('ready');
+                    socket.on('close', code => closed = code);
+                });
+            }
+        });
         await app.start();
-        assert.strictEqual(app.log.debug('my entry'), false);
-        assert.strictEqual(app.log.error({ type: 'foo' }), false);
+        let { socket } = await connect('/live');
+        await read(socket);
+        let stopped = app.stop();
+        let { opcode, payload } = await read(socket);
+        assert.strictEqual(opcode, 8);
+        assert.strictEqual(payload.readUInt16BE(0), 1000);
+        socket.end();
+        await stopped;
+        assert.strictEqual(closed, 1000);
+    });
+
+});
+
+describe('Conditional Requests', () => {
+
+    it('Should generate weak ETags for response bodies [conf.etag]', async () => {
+        let app = new Nodecaf({
+            conf: { etag: true, compression: { threshold: 0 } },
+            api({ get, post }){
+                get('/foo', ({ res }) => res.json({ foo: 'bar' }));
+                post('/foo', ({ res }) => res.json({ foo: 'bar' }));
+                get('/stream', ({ res }) => {
+                    res.write('foo');
+                    res.end('bar');
+                });
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/foo');
+        let etag = r.headers.ETag;
+        assert(/^W\/"d-/.test(etag));
+        r = await app.trigger('get', '/foo', { headers: { 'accept-encoding': 'gzip' } });
+        assert.strictEqual(r.headers.ETag, etag);
+        r = await app.trigger('get', '/foo', { headers: { 'if-none-match': '"abc", ' + etag.substr(2) } });
+        assert.strictEqual(r.status, 304);
+        assert(!r.body);
+        r = await app.trigger('post', '/foo');
+        assert(!r.headers.ETag);
+        r = await app.trigger('get', '/stream');
+        assert(!r.headers.ETag);
+        await app.stop();
+    });
+
+    it('Should check entity tag preconditions [res.etag]', async () => {
+        let app = new Nodecaf({
+            api({ get, put }){
+                get('/doc', ({ res }) => res.etag('v2').end('doc'));
+                put('/doc', ({ res }) => {
+                    res.etag(2, { weak: true });
+                    res.status(204).end();
+                });
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/doc', { headers: { 'if-none-match': '"v2"' } });
+        assert.strictEqual(r.status, 304);
+        assert.strictEqual(r.headers.ETag, '"v2"');
+        r = await app.trigger('get', '/doc', { headers: { 'if-none-match': '"v1"' } });
+        assert.strictEqual(r.body, 'doc');
+        r = await app.trigger('put', '/doc', { headers: { 'if-match': '"1"' } });
+        assert.strictEqual(r.status, 412);
+        r = await app.trigger('put', '/doc', { headers: { 'if-match': 'W/"2"' } });
+        assert.strictEqual(r.status, 412);
+        r = await app.trigger('put', '/doc', { headers: { 'if-none-match': '*' } });
+        assert.strictEqual(r.status, 412);
+        r = await app.trigger('put', '/doc', { headers: { 'if-match': '*' } });
+        assert.strictEqual(r.status, 204);
+        await app.stop();
+    });
+
+    it('Should check date preconditions [res.lastModified]', async () => {
+        let date = new Date('2021-07-12T10:00:00Z');
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get, put }){
+                get('/doc', ({ res }) => res.lastModified(date).end('doc'));
+                put('/doc', ({ res }) => res.lastModified(date).end());
+            }
+        });
+        await app.start();
+        let { status, headers } = await base.get('doc', { 'If-Modified-Since': date.toUTCString() });
+        assert.strictEqual(status, 304);
+        assert.strictEqual(headers['last-modified'], date.toUTCString());
+        ({ status } = await base.get('doc', { 'If-Modified-Since': 'Mon, 12 Jul 2021 09:59:59 GMT' }));
+        assert.strictEqual(status, 200);
+        ({ status } = await base.get('doc', { 'If-Modified-Since': 'never' }));
+        assert.strictEqual(status, 200);
+        ({ status } = await base.put('doc', { 'If-Unmodified-Since': 'Mon, 12 Jul 2021 09:00:00 GMT' }));
+        assert.strictEqual(status, 412);
+        ({ status } = await base.put('doc', { 'If-Unmodified-Since': date.toUTCString() }));
+        assert.strictEqual(status, 200);
         await app.stop();
     });
 
 });
 
-describe('Regression', () => {
+describe('Rate Limiting', () => {
 
-    it('Should handle errors even when error event has no listeners', async () => {
+    it('Should respond 429 when clients go over the limit [conf.rateLimit]', async () => {
+        let app = new Nodecaf({
+            conf: { rateLimit: { window: 60000, max: 2, key: 'header:X-API-Key' } },
+            api({ get }){
+                get('/foo', ({ res }) => res.end());
+                get('/health', { rateLimit: false }, ({ res }) => res.end());
+                get('/search', { rateLimit: { max: 1 } }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let headers = { 'x-api-key': 'abc' };
+        let r = await app.trigger('get', '/foo', { headers });
+        assert.strictEqual(r.status, 200);
+        assert.strictEqual(r.headers['RateLimit-Limit'], 2);
+        assert.strictEqual(r.headers['RateLimit-Remaining'], 1);
+        assert.strictEqual(r.headers['RateLimit-Reset'], 60);
+        await app.trigger('get', '/foo', { headers });
+        r = await app.trigger('get', '/foo', { headers });
+        assert.strictEqual(r.status, 429);
+        assert.strictEqual(r.headers['RateLimit-Remaining'], 0);
+        assert.strictEqual(r.headers['Retry-After'], 60);
+        r = await app.trigger('get', '/foo', { headers: { 'x-api-key': 'def' } });
+        assert.strictEqual(r.status, 200);
+        r = await app.trigger('get', '/health', { headers });
+        assert.strictEqual(r.status, 200);
+        r = await app.trigger('get', '/search', { headers });
+        assert.strictEqual(r.status, 200);
+        r = await app.trigger('get', '/search', { headers });
+        assert.strictEqual(r.status, 429);
+        await app.stop();
+    });
+
+    it('Should limit requests in a sliding window [app.rateLimit]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ get }){
+                let limit = this.rateLimit({ window: 100, max: ({ query }) => query.pro ? 3 : 1 });
+                get('/foo', limit, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let { status } = await base.get('foo');
+        assert.strictEqual(status, 200);
+        ({ status } = await base.get('foo'));
+        assert.strictEqual(status, 429);
+        ({ status } = await base.get('foo?pro=1'));
+        assert.strictEqual(status, 200);
+        await new Promise(done => setTimeout(done, 110));
+        ({ status } = await base.get('foo'));
+        assert.strictEqual(status, 200);
+        await app.stop();
+    });
+
+    it('Should count hits in a custom store [app.rateLimit]', async () => {
+        let keys = [];
+        let store = { hit: key => keys.push(key) && { count: 5, reset: Date.now() + 1500 } };
+        let app = new Nodecaf({
+            api({ get }){
+                get('/foo', this.rateLimit({ store, max: 4, key: ({ cookies }) => cookies.user }),
+                    ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/foo', { cookies: { user: 'bob' } });
+        assert.strictEqual(r.status, 429);
+        assert.strictEqual(r.headers['Retry-After'], 2);
+        assert.deepStrictEqual(keys, [ 'bob' ]);
+        assert.throws(() => app.rateLimit({ key: 'header' }), /Invalid rate limit key/);
+        await app.stop();
+    });
+
+});
+
+describe('Timeouts', () => {
+
+    it('Should respond 503 and abort the signal when handlers take too long [conf.timeout]', async () => {
+        let aborted, logged;
+        let app = new Nodecaf({
+            conf: { timeout: 50 },
+            api({ get }){
+                get('/hang', ({ signal }) => {
+                    signal.addEventListener('abort', () => aborted = true);
+                });
+                get('/late', async ({ res, signal }) => {
+                    await new Promise(done => setTimeout(done, 80));
+                    assert(signal.aborted);
+                    res.end('late');
+                });
+                get('/slow', { timeout: false }, async ({ res, signal }) => {
+                    await new Promise(done => setTimeout(done, 80));
+                    assert(!signal.aborted);
+                    res.end('slow');
+                });
+            }
+        });
+        await app.start();
+        app.log.warn = (data, ...args) => logged = args;
+        let r = await app.trigger('get', '/hang');
+        assert.strictEqual(r.status, 503);
+        assert(aborted);
+        assert.deepStrictEqual(logged.slice(1), [ 'GET', '/hang', 50 ]);
+        r = await app.trigger('get', '/late');
+        assert.strictEqual(r.status, 503);
+        r = await app.trigger('get', '/slow');
+        assert.strictEqual(r.body, 'slow');
+        await new Promise(done => setTimeout(done, 50));
+        await app.stop();
+    });
+
+    it('Should respond 408 when the body takes too long to arrive [timeout]', async () => {
+        const http = require('http');
         let app = new Nodecaf({
             conf: { port: 80 },
             api({ post }){
-                post('/bar', () => {
-                    throw new Error('errfoobar');
+                post('/upload', { timeout: 50 }, ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        let res = await new Promise((resolve, reject) => {
+            let req = http.request(LOCAL_HOST + '/upload', { method: 'POST',
+                headers: { 'Content-Type': 'text/plain', 'Content-Length': 10 } }, resolve);
+            req.on('error', reject);
+            req.write('abc');
+        });
+        assert.strictEqual(res.statusCode, 408);
+        assert.strictEqual(res.headers.connection, 'close');
+        res.resume();
+        await app.stop();
+    });
+
+    it('Should cut streamed responses and spare event streams when timing out [conf.timeout]', async () => {
+        const http = require('http');
+        let aborted, nextRan = false;
+        let app = new Nodecaf({
+            conf: { port: 80, timeout: 50 },
+            api({ get }){
+                get('/stream', ({ res, signal, next }) => {
+                    signal.addEventListener('abort', () => {
+                        aborted = res.stackAborted;
+                        next();
+                    });
+                    res.type('text').write('partial');
+                }, () => nextRan = true);
+                get('/events', ({ res }) => {
+                    let stream = res.sse({ heartbeat: false });
+                    setTimeout(() => stream.send('late') && stream.close(), 100);
                 });
             }
         });
         await app.start();
-        let { status } = await base.post('bar');
-        assert.strictEqual(status, 500);
+        let res = await new Promise(resolve => http.get(LOCAL_HOST + '/stream', resolve));
+        assert.strictEqual(res.statusCode, 200);
+        await new Promise(done => res.on('error', done).on('close', done).resume());
+        assert.strictEqual(aborted, true);
+        assert(!nextRan);
+
+        res = await new Promise(resolve => http.get(LOCAL_HOST + '/events', resolve));
+        let body = '';
+        await new Promise(done => res.on('data', c => body += c).on('end', done));
+        assert(body.includes('data: late'));
         await app.stop();
     });
 
-    it('Should not fail when attempting to close during startup', async () => {
-        let app = new Nodecaf();
-        let p = app.start();
-        await assert.doesNotReject( app.stop() );
-        await p;
+});
+
+describe('Health Checks', () => {
+
+    it('Should respond to liveness and readiness probes [conf.health]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80, health: true },
+            api({ pre, get }){
+                pre(({ res }) => res.error(401));
+                get('/health/live', ({ res }) => res.end('user route'));
+                get('/health/other', ({ res }) => res.end('user route'));
+            }
+        });
+        await app.start();
+        let { status, body } = await base.get('health/live');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(JSON.parse(body), { status: 'up', state: 'running' });
+        ({ status, body } = await base.get('health/ready'));
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(JSON.parse(body), { status: 'up', state: 'running', checks: {} });
+        app.state = 'stopping';
+        ({ status, body } = await base.get('health/ready'));
+        assert.strictEqual(status, 503);
+        assert.strictEqual(JSON.parse(body).state, 'stopping');
+        app.state = 'running';
+        ({ status } = await base.get('health/other'));
+        assert.strictEqual(status, 401);
         await app.stop();
     });
 
-    it('Should read correct package.json for name and version', () => {
-        let app = new Nodecaf();
-        assert.strictEqual(app._name, 'nodecaf');
+    it('Should aggregate named checks into the readiness report [app.healthCheck]', async () => {
+        let healthy = true;
+        let app = new Nodecaf({
+            conf: { port: 80, health: { path: '/status', timeout: 30 } },
+            startup: ({ global }) => global.db = { ping: () => healthy }
+        });
+        app.healthCheck('db', ({ db }) => db.ping());
+        app.healthCheck('cache', () => new Promise(done => setTimeout(done, 50)), { timeout: 100 });
+        await app.start();
+        let { status, body } = await base.get('status/ready');
+        assert.strictEqual(status, 200);
+        let { checks } = JSON.parse(body);
+        assert.strictEqual(checks.db.status, 'up');
+        assert.strictEqual(checks.cache.status, 'up');
+
+        healthy = false;
+        app.healthCheck('slow', () => new Promise(done => setTimeout(done, 50)));
+        ({ status, body } = await base.get('status/ready'));
+        assert.strictEqual(status, 503);
+        ({ checks } = JSON.parse(body));
+        assert.strictEqual(checks.db.error, 'Check failed');
+        assert.strictEqual(checks.slow.error, 'Timed out after 30ms');
+        await app.stop();
     });
 
-    it('Should not modify the very object used as cookie options', async () => {
-        let cookieOpts = { maxAge: 68300000 };
+});
+
+describe('Metrics', () => {
+
+    it('Should expose request metrics labelled by route pattern [conf.metrics]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80, metrics: { buckets: [ 0.1, 1 ] } },
+            api({ get, post }){
+                get('/users/:id', ({ res, metrics }) => {
+                    metrics.counter('user_reads_total', 'User reads', [ 'kind' ]).inc({ kind: 'profile' });
+                    res.end('ok');
+                });
+                post('/users', ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        await base.get('users/1');
+        await base.get('users/2');
+        await base.get('nothing');
+        await base.post('users', { 'Content-Type': 'application/json' }, '{bad');
+        let { status, headers, body } = await base.get('metrics');
+        assert.strictEqual(status, 200);
+        assert(/^text\/plain; version=0.0.4/.test(headers['content-type']));
+        assert(body.includes('http_requests_total{method="GET",route="/users/:id",status="200"} 2'));
+        assert(body.includes('http_requests_total{method="GET",route="unmatched",status="404"} 1'));
+        assert(body.includes('http_request_duration_seconds_bucket{method="GET",route="/users/:id",status="200",le="+Inf"} 2'));
+        assert(body.includes('http_request_duration_seconds_count{method="GET",route="/users/:id",status="200"} 2'));
+        assert(body.includes('http_requests_in_flight{method="GET",route="/users/:id"} 0'));
+        assert(body.includes('http_body_parse_failures_total{method="POST",route="/users",status="400"} 1'));
+        assert(body.includes('# TYPE user_reads_total counter\nuser_reads_total{kind="profile"} 2'));
+        await app.stop();
+    });
+
+    it('Should count WebSocket handshakes as finished requests [conf.metrics]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80, metrics: true },
+            api({ ws }){
+                ws('/chat', ({ socket }) => socket.close());
+            }
+        });
+        await app.start();
+        await new Promise(done => require('http').request(LOCAL_HOST + '/chat', { headers: {
+            'Connection': 'Upgrade', 'Upgrade': 'websocket', 'Sec-WebSocket-Version': '13',
+            'Sec-WebSocket-Key': require('crypto').randomBytes(16).toString('base64')
+        } }).on('upgrade', (res, socket) => done(socket.destroy())).end());
+        let { body } = await base.get('metrics');
+        assert(body.includes('http_requests_in_flight{method="GET",route="/chat"} 0'));
+        assert(body.includes('http_requests_total{method="GET",route="/chat",status="101"} 1'));
+        assert(body.includes('http_request_duration_seconds_count{method="GET",route="/chat",status="101"} 1'));
+        await app.stop();
+    });
+
+    it('Should serve metrics on a separate port [conf.metrics.port]', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80, metrics: { port: 8081, path: '/prom' } },
+            api({ get }){
+                get('/foo', ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        await base.get('foo');
+        let { status } = await base.get('prom');
+        assert.strictEqual(status, 404);
+        let { body } = await get('http://localhost:8081/prom');
+        assert(body.includes('http_requests_total{method="GET",route="/foo",status="200"} 1'));
+        ({ status } = await get('http://localhost:8081/metrics'));
+        assert.strictEqual(status, 404);
+        await app.stop();
+    });
+
+});
+
+describe('Tracing', () => {
+
+    it('Should record spans for the request, body parsing and each handler [opts.traceExporter]', async () => {
+        let exporter = new Nodecaf.InMemoryExporter();
         let app = new Nodecaf({
             conf: { port: 80 },
+            traceExporter: exporter,
+            api({ post, pre, pos }){
+                pre(function auth({ next }){ next() });
+                post('/items/:id', ({ next }) => next(), async ({ res, body, next }) => {
+                    await new Promise(done => setTimeout(done, 10));
+                    res.json(body);
+                    next();
+                });
+                post('/fail', function broken(){ throw new Error('boom') });
+                pos(function audit(){});
+            }
+        });
+        await app.start();
+        await base.post('items/1', {
+            'Content-Type': 'application/json',
+            traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+        }, '{"a":1}');
+        await base.post('fail');
+        await app.stop();
+
+        let root = exporter.spans.find(s => s.name == 'POST /items/:id');
+        assert.strictEqual(root.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+        assert.strictEqual(root.parentSpanId, '00f067aa0ba902b7');
+        assert.strictEqual(root.attributes['http.route'], '/items/:id');
+        assert.strictEqual(root.attributes['http.response.status_code'], 200);
+        let children = exporter.spans.filter(s => s.parentSpanId == root.spanId);
+        assert.deepStrictEqual(children.map(s => s.name).sort(),
+            [ 'handler #0', 'handler #1', 'parse body', 'pos audit', 'pre auth' ]);
+        let handler = children.find(s => s.name == 'handler #1');
+        assert(handler.endTime - handler.startTime >= 9);
+
+        let failed = exporter.spans.find(s => s.name == 'POST /fail');
+        assert.strictEqual(failed.status.code, 2);
+        assert.strictEqual(failed.events[0].attributes['exception.message'], 'boom');
+        let broken = exporter.spans.find(s => s.name == 'handler broken');
+        assert.strictEqual(broken.parentSpanId, failed.spanId);
+        assert.strictEqual(broken.status.message, 'boom');
+    });
+
+    it('Should send spans to an OTLP/HTTP collector [conf.tracing]', async () => {
+        let http = require('http');
+        let payloads = [];
+        let collector = http.createServer((req, res) => {
+            let chunks = [];
+            req.on('data', c => chunks.push(c));
+            req.on('end', () => {
+                payloads.push({ path: req.url, auth: req.headers.authorization, body: JSON.parse(Buffer.concat(chunks)) });
+                res.end('{}');
+            });
+        });
+        await new Promise(done => collector.listen(8082, done));
+        let app = new Nodecaf({
+            conf: { port: 80, tracing: { endpoint: 'http://localhost:8082/v1/traces',
+                serviceName: 'shop', headers: { Authorization: 'Bearer t' } } },
             api({ get }){
-                get('/foo', function({ res }){
-                    res.cookie('test', 'foo', cookieOpts);
-                    res.cookie('testa', 'bar', cookieOpts);
-                    res.json(cookieOpts);
+                get('/foo', ({ res }) => res.end());
+            }
+        });
+        await app.start();
+        await base.get('foo');
+        await app.stop();
+        await new Promise(done => collector.close(done));
+
+        assert.strictEqual(payloads.length, 1);
+        assert.strictEqual(payloads[0].path, '/v1/traces');
+        assert.strictEqual(payloads[0].auth, 'Bearer t');
+        let [ { resource, scopeSpans } ] = payloads[0].body.resourceSpans;
+        assert.deepStrictEqual(resource.attributes, [ { key: 'service.name', value: { stringValue: 'shop' } } ]);
+        let root = scopeSpans[0].spans.find(s => s.name == 'GET /foo');
+        assert.strictEqual(root.kind, 2);
+        assert(/^[\da-f]{32}$/.test(root.traceId));
+        assert(/^\d{19}$/.test(root.startTimeUnixNano));
+        assert(root.endTimeUnixNano >= root.startTimeUnixNano);
+        assert(root.attributes.some(a => a.key == 'http.response.status_code' && a.value.intValue == 200));
+    });
+
+});
+
+describe('Trusted Proxies', () => {
+
+    let app;
+
+    const start = async trustProxy => {
+        app = new Nodecaf({
+            conf: { port: 80, trustProxy, rateLimit: { max: 1 } },
+            api({ get }){
+                get('/who', ({ res, ip, ips, protocol, secure, hostname }) => {
+                    res.cookie('sid', '1', { secure: 'auto' });
+                    res.json({ ip, ips, protocol, secure, hostname });
                 });
             }
         });
         await app.start();
-        let { body } = await base.get('foo');
-        assert.strictEqual(JSON.parse(body).maxAge, 68300000);
+    };
+
+    const who = async headers => {
+        let { body, headers: h } = await base.get('who', headers);
+        return { ...JSON.parse(body), cookie: h['set-cookie'][0] };
+    };
+
+    afterEach(() => app.stop());
+
+    it('Should ignore forwarding headers by default [conf.trustProxy]', async () => {
+        await start();
+        let r = await who({ 'X-Forwarded-For': '203.0.113.5', 'X-Forwarded-Proto': 'https' });
+        assert.strictEqual(r.ip, '127.0.0.1');
+        assert.deepStrictEqual(r.ips, []);
+        assert.strictEqual(r.protocol, 'http');
+        assert.strictEqual(r.secure, false);
+        assert.strictEqual(r.hostname, 'localhost');
+        assert(!/Secure/.test(r.cookie));
+    });
+
+    it('Should trust the given number of hops [conf.trustProxy]', async () => {
+        await start(1);
+        let r = await who({ 'X-Forwarded-For': '203.0.113.5, 198.51.100.7' });
+        assert.strictEqual(r.ip, '198.51.100.7');
+        assert.deepStrictEqual(r.ips, [ '198.51.100.7' ]);
+    });
+
+    it('Should trust proxies in the given address ranges [conf.trustProxy]', async () => {
+        await start([ 'loopback', '10.0.0.0/8' ]);
+        let r = await who({
+            'X-Forwarded-For': '198.51.100.7, 203.0.113.5, 10.1.2.3',
+            'X-Forwarded-Proto': 'https',
+            'X-Forwarded-Host': 'api.example.com:8443'
+        });
+        assert.strictEqual(r.ip, '203.0.113.5');
+        assert.deepStrictEqual(r.ips, [ '203.0.113.5', '10.1.2.3' ]);
+        assert.strictEqual(r.protocol, 'https');
+        assert.strictEqual(r.secure, true);
+        assert.strictEqual(r.hostname, 'api.example.com');
+        assert(/; Secure/.test(r.cookie));
+    });
+
+    it('Should read the RFC 7239 Forwarded header [conf.trustProxy]', async () => {
+        await start(true);
+        let forwarded = 'for=192.0.2.60;proto=https;host=shop.example, for="[2001:db8::17]:4711"';
+        let r = await who({ 'Forwarded': forwarded });
+        assert.strictEqual(r.ip, '192.0.2.60');
+        assert.deepStrictEqual(r.ips, [ '192.0.2.60', '2001:db8::17' ]);
+        assert.strictEqual(r.protocol, 'https');
+        assert.strictEqual(r.hostname, 'shop.example');
+
+        // Each client is rate limited on its own address.
+        let { status } = await base.get('who', { 'X-Forwarded-For': '203.0.113.9' });
+        assert.strictEqual(status, 200);
+        ({ status } = await base.get('who', { 'X-Forwarded-For': '203.0.113.9' }));
+        assert.strictEqual(status, 429);
+    });
+
+    it('Should fail when the trusted addresses are invalid [conf.trustProxy]', async () => {
+        await start();
+        assert.throws(() => app.setup({ trustProxy: [ '10.0.0.0/33' ] }), /Invalid trusted proxy/);
+        assert.throws(() => app.setup({ trustProxy: 'foo' }), /Invalid trusted proxy/);
+    });
+
+});
+
+describe('Static Files', () => {
+
+    const fs = require('fs');
+    const os = require('os');
+    let dir;
+
+    before(function(){
+        dir = fs.mkdtempSync(os.tmpdir() + '/nodecaf-static-');
+        fs.mkdirSync(dir + '/public/assets', { recursive: true });
+        fs.writeFileSync(dir + '/public/index.html', '<h1>App</h1>');
+        fs.writeFileSync(dir + '/public/assets/app.js', 'console.log(1234567890);');
+        fs.writeFileSync(dir + '/public/.env', 'SECRET=1');
+        fs.writeFileSync(dir + '/secret.txt', 'secret');
+    });
+
+    after(function(){
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it('Should serve files with content-type and cache validators', async () => {
+        let app = new Nodecaf({
+            api({ static: serve }){
+                serve('/admin', dir + '/public');
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/admin/assets/app.js');
+        assert.strictEqual(r.status, 200);
+        assert.strictEqual(String(r.body), 'console.log(1234567890);');
+        assert.strictEqual(r.headers['Content-Type'], 'text/javascript; charset=utf-8');
+        assert.strictEqual(r.headers['Content-Length'], 24);
+        let etag = r.headers.ETag;
+        r = await app.trigger('get', '/admin/assets/app.js', { headers: { 'if-none-match': etag } });
+        assert.strictEqual(r.status, 304);
+        r = await app.trigger('get', '/admin/assets/app.js', { headers: { 'if-modified-since': r.headers['Last-Modified'] } });
+        assert.strictEqual(r.status, 304);
+        r = await app.trigger('get', '/admin');
+        assert.strictEqual(String(r.body), '<h1>App</h1>');
+        r = await app.trigger('head', '/admin/index.html');
+        assert.strictEqual(r.status, 200);
+        assert(!r.body);
+        r = await app.trigger('post', '/admin/index.html');
+        assert.strictEqual(r.status, 405);
+        r = await app.trigger('get', '/admin/nothing.js');
+        assert.strictEqual(r.status, 404);
         await app.stop();
     });
 
-    it('Should NOT send reponse body when assertion has no message', async () => {
+    it('Should serve partial content for byte ranges', async () => {
+        let app = new Nodecaf({
+            api({ static: serve }){
+                serve('/', dir + '/public');
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=12-21' } });
+        assert.strictEqual(r.status, 206);
+        assert.strictEqual(String(r.body), '1234567890');
+        assert.strictEqual(r.headers['Content-Range'], 'bytes 12-21/24');
+        r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=-3' } });
+        assert.strictEqual(String(r.body), '0);');
+        r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=100-' } });
+        assert.strictEqual(r.status, 416);
+        assert.strictEqual(r.headers['Content-Range'], 'bytes */24');
+        r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=0-1', 'if-range': '"other"' } });
+        assert.strictEqual(r.status, 200);
+        r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=0-1', 'if-range': r.headers.ETag } });
+        assert.strictEqual(r.status, 200);
+        r = await app.trigger('get', '/assets/app.js', { headers: { range: 'bytes=0-1', 'if-range': r.headers['Last-Modified'] } });
+        assert.strictEqual(r.status, 206);
+        await app.stop();
+    });
+
+    it('Should destroy the file stream when the client aborts', async () => {
+        fs.writeFileSync(dir + '/public/big.bin', Buffer.alloc(8 * 1024 * 1024));
+        let settled;
         let app = new Nodecaf({
             conf: { port: 80 },
             api({ get }){
-                get('/foo', function({ res }){
-                    res.unauthorized(true);
+                let serve = require('../lib/static')(dir + '/public');
+                get('/*path', async input => {
+                    await serve(input);
+                    settled = true;
                 });
             }
         });
         await app.start();
-        let { headers, body } = await base.get('foo');
-        assert(!headers['content-type']);
-        assert.strictEqual(body.length, 0);
+        let stream;
+        let { createReadStream } = fs;
+        fs.createReadStream = (...args) => stream = createReadStream(...args);
+        await new Promise(done => {
+            let req = require('http').get('http://localhost:80/big.bin', res => {
+                res.once('data', () => req.destroy());
+                res.on('close', done);
+            });
+            req.on('error', Function.prototype);
+        });
+        fs.createReadStream = createReadStream;
+        await new Promise(done => setTimeout(done, 100));
+        assert(stream.destroyed);
+        assert(settled);
+        await app.stop();
+    });
+
+    it('Should protect files outside the directory and dotfiles', async () => {
+        let app = new Nodecaf({
+            conf: { port: 80 },
+            api({ static: serve }){
+                serve('/ignore', dir + '/public');
+                serve('/deny', dir + '/public', { dotfiles: 'deny' });
+            }
+        });
+        await app.start();
+        let { status } = await base.get('ignore/..%2fsecret.txt');
+        assert.strictEqual(status, 403);
+        ({ status } = await app.trigger('get', '/ignore/%2e%2e/secret.txt'));
+        assert.strictEqual(status, 403);
+        ({ status } = await app.trigger('get', '/ignore/assets/../../secret.txt'));
+        assert.strictEqual(status, 403);
+        ({ status } = await base.get('ignore/.env'));
+        assert.strictEqual(status, 404);
+        ({ status } = await base.get('deny/.env'));
+        assert.strictEqual(status, 403);
+        await app.stop();
+    });
+
+    it('Should fallback to index file for client-side routes', async () => {
+        let app = new Nodecaf({
+            api({ get, static: serve }){
+                get('/api/foo', ({ res }) => res.end('foo'));
+                serve('/', dir + '/public', { fallback: true });
+            }
+        });
+        await app.start();
+        let r = await app.trigger('get', '/users/12/edit');
+        assert.strictEqual(String(r.body), '<h1>App</h1>');
+        r = await app.trigger('get', '/api/foo');
+        assert.strictEqual(r.body, 'foo');
         await app.stop();
     });
 